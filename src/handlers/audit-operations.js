@@ -0,0 +1,112 @@
+/**
+ * Queries the audit log of tool invocations
+ * @param {Object} filter - Query filter
+ * @param {string} filter.since - Earliest timestamp (ISO 8601, inclusive)
+ * @param {string} filter.until - Latest timestamp (ISO 8601, inclusive)
+ * @param {string} filter.repo - Repository path or URL
+ * @param {string} filter.tool - Tool name
+ * @param {string} filter.session_id - Session ID
+ * @param {string} filter.status - Outcome (success, error, blocked)
+ * @param {number} filter.limit - Maximum number of entries (the most recent are returned)
+ * @param {AuditLog} auditLog - Audit log of the server
+ * @param {Object} access - Entries the caller may read
+ * @param {string} access.sessionId - Session of the caller
+ * @param {boolean} [access.allSessions] - Whether other sessions' entries
+ *   may be read too
+ * @returns {Object} - Matching audit entries
+ */
+export async function handleGitAuditLog(
+  {
+    since = null,
+    until = null,
+    repo = null,
+    tool = null,
+    session_id = null,
+    status = null,
+    limit = 100,
+  },
+  auditLog,
+  { sessionId, allSessions = false }
+) {
+  try {
+    if (!auditLog || !auditLog.enabled) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                error: "The audit log is disabled in the server configuration",
+              },
+              null,
+              2
+            ),
+          },
+        ],
+        isError: true,
+      };
+    }
+
+    // Entries hold other clients' arguments; by default a session only
+    // sees its own
+    if (!allSessions && session_id && session_id !== sessionId) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                error:
+                  "Only the entries of the calling session are available; the server configuration does not allow querying other sessions",
+              },
+              null,
+              2
+            ),
+          },
+        ],
+        isError: true,
+      };
+    }
+
+    const { total, entries } = await auditLog.query({
+      since,
+      until,
+      repo,
+      tool,
+      session_id: allSessions ? session_id : sessionId,
+      status,
+      limit,
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              total_matches: total,
+              returned: entries.length,
+              entries: entries,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            { error: `Failed to query audit log: ${error.message}` },
+            null,
+            2
+          ),
+        },
+      ],
+      isError: true,
+    };
+  }
+}
@@ -1,4 +1,11 @@
-import { simpleGit, cloneRepo } from "./common.js";
+import {
+  simpleGit,
+  cloneRepo,
+  cloneGit,
+  fetchBranch,
+  withHistory,
+  getDiff,
+} from "./common.js";
 
 /**
  * Handles the git_branch_diff tool request
@@ -7,6 +14,10 @@ import { simpleGit, cloneRepo } from "./common.js";
  * @param {string} params.source_branch - Source branch name
  * @param {string} params.target_branch - Target branch name
  * @param {boolean} params.show_patch - Whether to include diff patches
+ * @param {string} params.format - Diff format (structured, patch, stat); without
+ *   it the legacy name-status summary is returned
+ * @param {string} params.clone_strategy - Clone strategy (full, shallow, blobless, treeless)
+ * @param {number} params.clone_depth - Commits to fetch with the shallow strategy
  * @returns {Object} - Tool response
  */
 export async function handleGitBranchDiff({
@@ -14,32 +25,34 @@ export async function handleGitBranchDiff({
   source_branch,
   target_branch,
   show_patch = false,
+  format = null,
+  clone_strategy = null,
+  clone_depth = 1,
 }) {
   try {
-    const repoPath = await cloneRepo(repo_url);
-    const git = simpleGit(repoPath);
+    const repoPath = await cloneRepo(repo_url, {
+      strategy: clone_strategy,
+      depth: clone_depth,
+    });
+    const git = cloneGit(repoPath);
 
     // Make sure both branches exist locally
     const branches = await git.branch();
     if (!branches.all.includes(source_branch)) {
-      await git.fetch("origin", source_branch);
-      await git.checkout(source_branch);
+      await fetchBranch(repoPath, source_branch);
     }
 
     if (!branches.all.includes(target_branch)) {
-      await git.fetch("origin", target_branch);
-    }
-
-    // Get the diff between branches
-    const diffOptions = ["--name-status"];
-    if (show_patch) {
-      diffOptions.push("--patch");
+      await fetchBranch(repoPath, target_branch);
     }
 
-    const diff = await git.diff([
-      ...diffOptions,
-      `${target_branch}...${source_branch}`,
-    ]);
+    // A shallow clone needs the history back to the merge base
+    await withHistory(
+      repoPath,
+      () =>
+        git.raw(["merge-base", target_branch, source_branch]).catch(() => ""),
+      (mergeBase) => mergeBase.trim() !== ""
+    );
 
     // Get commit range information
     const logSummary = await git.log({
@@ -49,9 +62,27 @@ export async function handleGitBranchDiff({
 
     const result = {
       commits_count: logSummary.total,
-      diff_summary: diff,
     };
 
+    if (format) {
+      result.format = format;
+      Object.assign(
+        result,
+        await getDiff(git, [`${target_branch}...${source_branch}`], format)
+      );
+    } else {
+      // Get the diff between branches
+      const diffOptions = ["--name-status"];
+      if (show_patch) {
+        diffOptions.push("--patch");
+      }
+
+      result.diff_summary = await git.diff([
+        ...diffOptions,
+        `${target_branch}...${source_branch}`,
+      ]);
+    }
+
     return {
       content: [
         {
@@ -0,0 +1,119 @@
+import { cloneRepo } from "./common.js";
+import {
+  cacheLimits,
+  evictClone,
+  findClone,
+  listClones,
+} from "../utils/clone-cache.js";
+import { stripUrlCredentials } from "../utils/credentials.js";
+
+/**
+ * Handles the git_cache tool request: lists, measures, refreshes and evicts
+ * the clones kept for repo_url tools
+ * @param {Object} params - Tool parameters
+ * @param {string} params.action - list, stats, refresh, evict or clear
+ * @param {string} params.repo_url - Repository URL (refresh and evict; refresh
+ *   updates every cached clone without it)
+ * @returns {Object} - Tool response
+ */
+export async function handleGitCache({ action = "list", repo_url = null }) {
+  try {
+    let result;
+
+    switch (action) {
+      case "list": {
+        const clones = await listClones();
+        result = { clones: clones, total: clones.length };
+        break;
+      }
+
+      case "stats": {
+        const clones = await listClones();
+        const limits = cacheLimits();
+        result = {
+          clones: clones.length,
+          total_size_bytes: clones.reduce((sum, clone) => sum + clone.size_bytes, 0),
+          max_size_bytes: limits.maxSizeBytes,
+          max_age_hours:
+            limits.maxAgeMs === null ? null : limits.maxAgeMs / (60 * 60 * 1000),
+          least_recent_access:
+            clones.length > 0 ? clones[clones.length - 1].last_access : null,
+          most_recent_access: clones.length > 0 ? clones[0].last_access : null,
+        };
+        break;
+      }
+
+      case "refresh": {
+        // Clones are fetched regardless of the refresh TTL, with the
+        // configured credentials for their host
+        const urls = repo_url
+          ? [repo_url]
+          : (await listClones()).map((clone) => clone.url).filter(Boolean);
+        const refreshed = [];
+        const failed = [];
+        for (const url of urls) {
+          try {
+            await cloneRepo(url, { refresh: true });
+            refreshed.push(await findClone(stripUrlCredentials(url)));
+          } catch (error) {
+            failed.push({ url: stripUrlCredentials(url), error: error.message });
+          }
+        }
+        result = { success: failed.length === 0, refreshed, failed };
+        break;
+      }
+
+      case "evict": {
+        if (!repo_url) {
+          throw new Error("repo_url is required for the evict action");
+        }
+        const clone = await findClone(stripUrlCredentials(repo_url));
+        if (!clone) {
+          throw new Error(`No cached clone of ${stripUrlCredentials(repo_url)}`);
+        }
+        await evictClone(clone.path);
+        result = { success: true, evicted: [clone] };
+        break;
+      }
+
+      case "clear": {
+        const clones = await listClones();
+        for (const clone of clones) {
+          await evictClone(clone.path);
+        }
+        result = {
+          success: true,
+          evicted: clones,
+          freed_bytes: clones.reduce((sum, clone) => sum + clone.size_bytes, 0),
+        };
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown cache action: ${action}`);
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(result, null, 2),
+        },
+      ],
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            { error: `Failed to manage clone cache: ${error.message}` },
+            null,
+            2
+          ),
+        },
+      ],
+      isError: true,
+    };
+  }
+}
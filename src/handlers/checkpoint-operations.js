@@ -0,0 +1,207 @@
+import {
+  createCheckpoint,
+  diffCheckpoint,
+  getCheckpoint,
+  listCheckpoints,
+  restoreCheckpoint,
+} from "../utils/checkpoints.js";
+
+/**
+ * Summarizes checkpoint metadata for listing
+ * @param {Object} checkpoint - Checkpoint metadata
+ * @returns {Object} - Id, time, tool, HEAD and checkpoint commit
+ */
+function summarizeCheckpoint(checkpoint) {
+  return {
+    id: checkpoint.id,
+    created_at: checkpoint.created_at,
+    tool: checkpoint.tool,
+    args: checkpoint.args,
+    head: checkpoint.head,
+    branch: checkpoint.head_ref
+      ? checkpoint.head_ref.replace(/^refs\/heads\//, "")
+      : null,
+    commit: checkpoint.commit,
+  };
+}
+
+/**
+ * Lists, shows or diffs the safety checkpoints recorded before mutating tool calls
+ * @param {string} repoPath - Path to the local repository
+ * @param {string} action - Checkpoint action (list, show, diff)
+ * @param {string} checkpointId - Checkpoint to show or diff (default: most recent)
+ * @param {number} maxCount - Maximum number of checkpoints to list
+ * @returns {Object} - Checkpoint operation result
+ */
+export async function handleGitCheckpoints({
+  repo_path,
+  action = "list",
+  checkpoint_id = null,
+  max_count = 20,
+}) {
+  try {
+    switch (action) {
+      case "list": {
+        const checkpoints = await listCheckpoints(repo_path);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  total: checkpoints.length,
+                  checkpoints: checkpoints
+                    .slice(0, max_count)
+                    .map(summarizeCheckpoint),
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
+
+      case "show": {
+        const checkpoint = await getCheckpoint(repo_path, checkpoint_id);
+        const stat = await diffCheckpoint(repo_path, checkpoint);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  ...summarizeCheckpoint(checkpoint),
+                  head_ref: checkpoint.head_ref,
+                  refs: checkpoint.refs,
+                  stashes: checkpoint.stashes,
+                  index_tree: checkpoint.index_tree,
+                  worktree_tree: checkpoint.worktree_tree,
+                  changes_since: stat.trim(),
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
+
+      case "diff": {
+        const checkpoint = await getCheckpoint(repo_path, checkpoint_id);
+        const diff = await diffCheckpoint(repo_path, checkpoint, true);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  id: checkpoint.id,
+                  tool: checkpoint.tool,
+                  diff: diff,
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
+
+      default:
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  error: `Invalid checkpoints action: ${action}`,
+                  valid_actions: ["list", "show", "diff"],
+                },
+                null,
+                2
+              ),
+            },
+          ],
+          isError: true,
+        };
+    }
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            { error: `Failed to read checkpoints: ${error.message}` },
+            null,
+            2
+          ),
+        },
+      ],
+      isError: true,
+    };
+  }
+}
+
+/**
+ * Restores a repository to a checkpoint. The current state is recorded as a
+ * new checkpoint first, so the undo can itself be undone.
+ * @param {string} repoPath - Path to the local repository
+ * @param {string} checkpointId - Checkpoint to restore (default: most recent)
+ * @param {Object} [options] - Checkpoint options of the server
+ * @param {string} [options.sessionId] - Session the undo runs in
+ * @param {number|null} [options.maxCheckpoints] - Checkpoints to keep per
+ *   repository (null keeps all)
+ * @returns {Object} - Undo result
+ */
+export async function handleGitUndo(
+  { repo_path, checkpoint_id = null },
+  { sessionId = null, maxCheckpoints = null } = {}
+) {
+  try {
+    const checkpoint = await getCheckpoint(repo_path, checkpoint_id);
+    const before = await createCheckpoint(
+      repo_path,
+      {
+        tool: "git_undo",
+        args: { repo_path, checkpoint_id: checkpoint.id },
+        session_id: sessionId,
+      },
+      maxCheckpoints
+    );
+    const restored = await restoreCheckpoint(repo_path, checkpoint);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              success: true,
+              message: `Restored checkpoint ${checkpoint.id} (before ${checkpoint.tool})`,
+              restored_checkpoint: summarizeCheckpoint(checkpoint),
+              undo_checkpoint: before.id,
+              ...restored,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            { error: `Failed to undo: ${error.message}` },
+            null,
+            2
+          ),
+        },
+      ],
+      isError: true,
+    };
+  }
+}
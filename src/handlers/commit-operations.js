@@ -1,4 +1,198 @@
-import { path, fs, simpleGit, cloneRepo } from "./common.js";
+import {
+  path,
+  fs,
+  simpleGit,
+  cloneRepo,
+  cloneGit,
+  fetchBranch,
+  withHistory,
+  EMPTY_TREE,
+  getDiff,
+  parseDiff,
+  parseNumstat,
+} from "./common.js";
+import { decodeCursor, encodeCursor } from "../utils/cursor.js";
+
+// Placeholders of `git log --format` for the commit fields tools report:
+// the ones simple-git uses, so all history tools describe commits alike
+const COMMIT_FIELDS = {
+  hash: "%H",
+  author: "%aN",
+  email: "%aE",
+  date: "%aI",
+  message: "%s",
+  body: "%b",
+};
+
+// Commit fields git_commits_details adds
+const COMMIT_DETAIL_FIELDS = {
+  ...COMMIT_FIELDS,
+  committer: "%cN",
+  committer_email: "%cE",
+  refs: "%D",
+};
+
+/**
+ * Runs git log and reads the commits it lists
+ * @param {Object} git - simple-git instance
+ * @param {string[]} args - Options, revisions and pathspecs for git log
+ * @param {Object} [fields] - Commit fields and their placeholders
+ * @returns {Promise<Object[]>} - Commits with the fields, newest first
+ */
+async function logCommits(git, args, fields = COMMIT_FIELDS) {
+  const names = Object.keys(fields);
+  const output = await git.raw([
+    "log",
+    "-z",
+    `--format=${Object.values(fields).join("%x00")}`,
+    ...args,
+  ]);
+  // -z ends each commit with a NUL, like the fields inside it
+  const values = output.split("\0");
+  const commits = [];
+  for (let i = 0; i + names.length <= values.length; i += names.length) {
+    const commit = Object.fromEntries(
+      names.map((name, index) => [name, values[i + index]])
+    );
+    // Commits after the first start on a newline; bodies end with one
+    commit.hash = commit.hash.trim();
+    commit.body = commit.body.trim();
+    commits.push(commit);
+  }
+  return commits;
+}
+
+/**
+ * Builds an error result for invalid history search arguments
+ * @param {string} message - Error message
+ * @returns {Object} - Tool response with isError set
+ */
+function historyArgumentError(message) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({ error: message }, null, 2),
+      },
+    ],
+    isError: true,
+  };
+}
+
+/**
+ * Lists a page of a branch's history for git_commit_history and
+ * git_commits_details. The cursor of the next page holds the commit the
+ * walk started from, so commits pushed meanwhile do not shift later pages,
+ * and the last commit listed, which must still come right before the page.
+ * @param {string} repoPath - Path returned by cloneRepo
+ * @param {Object} options - Page options
+ * @param {string} options.repoUrl - Repository URL
+ * @param {string} options.branch - Branch to list
+ * @param {Object} options.filters - `{ author, since, until, grep }`
+ * @param {number} options.maxCount - Most commits on the page
+ * @param {number} options.skip - Commits to skip before the first page; a
+ *   cursor already starts past them, so it is ignored with one
+ * @param {string|null} options.cursor - next_cursor of the previous page
+ * @param {Object} [options.fields] - Commit fields (see logCommits)
+ * @param {boolean} [options.withParents] - Deepen a shallow clone until
+ *   the parents of all listed commits are present
+ * @returns {Promise<Object>} - `{ commits, has_more, next_cursor }`
+ */
+async function historyPage(
+  repoPath,
+  {
+    repoUrl,
+    branch,
+    filters,
+    maxCount,
+    skip,
+    cursor,
+    fields = COMMIT_FIELDS,
+    withParents = false,
+  }
+) {
+  const git = cloneGit(repoPath);
+  const query = { repo_url: repoUrl, branch, ...filters };
+  const filterArgs = Object.entries(filters)
+    .filter(([, value]) => value)
+    .map(([name, value]) => `--${name}=${value}`);
+  const log = (start, args, count, isComplete) =>
+    withHistory(
+      repoPath,
+      () =>
+        logCommits(
+          git,
+          [...filterArgs, `--skip=${start}`, `--max-count=${count}`, ...args],
+          fields
+        ),
+      (result, boundary) =>
+        result.length >= count &&
+        (!isComplete || isComplete(result, boundary))
+    );
+
+  // The branch is passed to git as an argument; never let it act as an option
+  if (branch.startsWith("-")) {
+    throw new Error(`Invalid branch: ${branch}`);
+  }
+
+  let tip;
+  let offset = skip;
+  if (cursor) {
+    const position = decodeCursor(cursor, query);
+    if (
+      !position ||
+      !/^[0-9a-f]{40,64}$/.test(position.tip) ||
+      !Number.isInteger(position.offset) ||
+      position.offset < 1
+    ) {
+      throw new Error("Invalid cursor: it belongs to a different listing");
+    }
+    // The commit before the page moves when relative dates ("1 week ago")
+    // select other commits than before
+    const [last] = await log(position.offset - 1, [position.tip, "--"], 1);
+    if (!last || last.hash !== position.last) {
+      throw new Error(
+        "Invalid cursor: the history it continues has changed; " +
+          "start over without a cursor"
+      );
+    }
+    tip = position.tip;
+    offset = position.offset;
+  } else {
+    // The branch may be newer than the clone's last fetch
+    const branches = await git.branch();
+    if (!branches.all.includes(branch)) {
+      await fetchBranch(repoPath, branch);
+    }
+    tip = (
+      await git.raw(["rev-parse", "--verify", `${branch}^{commit}`])
+    ).trim();
+  }
+
+  // One commit more than the page tells whether another page follows
+  const commits = await log(
+    offset,
+    [tip, "--"],
+    maxCount + 1,
+    withParents &&
+      ((result, boundary) =>
+        !result.some((commit) => boundary.has(commit.hash)))
+  );
+  const page = commits.slice(0, maxCount);
+  const hasMore = commits.length > maxCount;
+
+  return {
+    commits: page,
+    has_more: hasMore,
+    next_cursor: hasMore
+      ? encodeCursor(query, {
+          tip: tip,
+          offset: offset + page.length,
+          last: page[page.length - 1].hash,
+        })
+      : null,
+  };
+}
 
 /**
  * Handles the git_commit_history tool request
@@ -6,70 +200,51 @@ import { path, fs, simpleGit, cloneRepo } from "./common.js";
  * @param {string} params.repo_url - Repository URL
  * @param {string} params.branch - Branch name
  * @param {number} params.max_count - Maximum number of commits
+ * @param {number} params.skip - Commits to skip before the first one returned
+ *   (without a cursor)
+ * @param {string} params.cursor - next_cursor of the previous page
  * @param {string} params.author - Author filter
  * @param {string} params.since - Date filter (after)
  * @param {string} params.until - Date filter (before)
  * @param {string} params.grep - Message content filter
+ * @param {string} params.clone_strategy - Clone strategy (full, shallow, blobless, treeless)
+ * @param {number} params.clone_depth - Commits to fetch with the shallow strategy
  * @returns {Object} - Tool response
  */
 export async function handleGitCommitHistory({
   repo_url,
   branch = "main",
   max_count = 10,
+  skip = 0,
+  cursor = null,
   author,
   since,
   until,
   grep,
+  clone_strategy = null,
+  clone_depth = 1,
 }) {
   try {
-    const repoPath = await cloneRepo(repo_url);
-    const git = simpleGit(repoPath);
-
-    // Prepare log options
-    const logOptions = {
+    const repoPath = await cloneRepo(repo_url, {
+      strategy: clone_strategy,
+      depth: clone_depth,
+    });
+
+    // Get commit history, fetching older commits of a shallow clone as needed
+    const page = await historyPage(repoPath, {
+      repoUrl: repo_url,
+      branch: branch,
+      filters: { author, since, until, grep },
       maxCount: max_count,
-    };
-
-    if (author) {
-      logOptions["--author"] = author;
-    }
-
-    if (since) {
-      logOptions["--since"] = since;
-    }
-
-    if (until) {
-      logOptions["--until"] = until;
-    }
-
-    if (grep) {
-      logOptions["--grep"] = grep;
-    }
-
-    // Make sure branch exists locally
-    const branches = await git.branch();
-    if (!branches.all.includes(branch)) {
-      await git.fetch("origin", branch);
-    }
-
-    // Get commit history
-    const log = await git.log(logOptions, branch);
-
-    // Format the commits
-    const commits = log.all.map((commit) => ({
-      hash: commit.hash,
-      author: commit.author_name,
-      email: commit.author_email,
-      date: commit.date,
-      message: commit.message,
-      body: commit.body || "",
-    }));
+      skip: skip,
+      cursor: cursor,
+    });
 
     return {
       content: [
         {
           type: "text",
-          text: JSON.stringify({ commits }, null, 2),
+          text: JSON.stringify(page, null, 2),
         },
       ],
     };
@@ -96,88 +271,88 @@ export async function handleGitCommitHistory({
  * @param {string} params.repo_url - Repository URL
  * @param {string} params.branch - Branch name
  * @param {number} params.max_count - Maximum number of commits
+ * @param {number} params.skip - Commits to skip before the first one returned
+ *   (without a cursor)
+ * @param {string} params.cursor - next_cursor of the previous page
  * @param {boolean} params.include_diff - Whether to include diffs
+ * @param {string} params.format - Diff format (structured, patch, stat)
  * @param {string} params.author - Author filter
  * @param {string} params.since - Date filter (after)
  * @param {string} params.until - Date filter (before)
  * @param {string} params.grep - Message content filter
+ * @param {string} params.clone_strategy - Clone strategy (full, shallow, blobless, treeless)
+ * @param {number} params.clone_depth - Commits to fetch with the shallow strategy
  * @returns {Object} - Tool response
  */
 export async function handleGitCommitsDetails({
   repo_url,
   branch = "main",
   max_count = 10,
+  skip = 0,
+  cursor = null,
   include_diff = false,
+  format = "patch",
   author,
   since,
   until,
   grep,
+  clone_strategy = null,
+  clone_depth = 1,
 }) {
   try {
-    const repoPath = await cloneRepo(repo_url);
-    const git = simpleGit(repoPath);
-
-    // Ensure branch exists locally
-    const branches = await git.branch();
-    if (!branches.all.includes(branch)) {
-      await git.fetch("origin", branch);
-    }
-
-    // Prepare log options with full details
-    const logOptions = {
+    const repoPath = await cloneRepo(repo_url, {
+      strategy: clone_strategy,
+      depth: clone_depth,
+    });
+    const git = cloneGit(repoPath);
+
+    // Get commit history with full details. Diffs need the parent of every
+    // commit, so a shallow clone is deepened past the oldest one.
+    const page = await historyPage(repoPath, {
+      repoUrl: repo_url,
+      branch: branch,
+      filters: { author, since, until, grep },
       maxCount: max_count,
-      "--format": "fuller", // Get more detailed commit info
-    };
-
-    if (author) {
-      logOptions["--author"] = author;
-    }
-
-    if (since) {
-      logOptions["--since"] = since;
-    }
-
-    if (until) {
-      logOptions["--until"] = until;
-    }
-
-    if (grep) {
-      logOptions["--grep"] = grep;
-    }
-
-    // Get commit history with full details
-    const log = await git.log(logOptions, branch);
+      skip: skip,
+      cursor: cursor,
+      fields: COMMIT_DETAIL_FIELDS,
+      withParents: include_diff,
+    });
 
     // Enhance with additional details
     const commitsDetails = [];
 
-    for (const commit of log.all) {
+    for (const commit of page.commits) {
       const commitDetails = {
         hash: commit.hash,
-        author: commit.author_name,
-        author_email: commit.author_email,
-        committer: commit.committer_name,
+        author: commit.author,
+        author_email: commit.email,
+        committer: commit.committer,
         committer_email: commit.committer_email,
         date: commit.date,
         message: commit.message,
-        body: commit.body || "",
+        body: commit.body,
         refs: commit.refs,
       };
 
       // Get the commit diff if requested
       if (include_diff) {
-        if (commit.parents && commit.parents.length > 0) {
-          // For normal commits with parents
-          const diff = await git.diff([`${commit.hash}^..${commit.hash}`]);
-          commitDetails.diff = diff;
-        } else {
-          // For initial commits with no parents
-          const diff = await git.diff([
-            "4b825dc642cb6eb9a060e54bf8d69288fbee4904",
-            commit.hash,
-          ]);
-          commitDetails.diff = diff;
-        }
+        // Initial commits have no parent; diff them against the empty tree
+        const [, firstParent] = (
+          await git.raw(["rev-list", "--parents", "-n", "1", commit.hash])
+        )
+          .trim()
+          .split(" ");
+        const range = firstParent
+          ? [firstParent, commit.hash]
+          : [EMPTY_TREE, commit.hash];
+        const diff = await getDiff(git, range, format);
+        commitDetails.diff =
+          format === "patch"
+            ? diff.patch
+            : format === "structured"
+            ? diff.files
+            : diff;
 
         // Get list of changed files
         const showResult = await git.show([
@@ -216,6 +391,8 @@ export async function handleGitCommitsDetails({
           text: JSON.stringify(
             {
               commits: commitsDetails,
+              has_more: page.has_more,
+              next_cursor: page.next_cursor,
             },
             null,
             2
@@ -240,6 +417,346 @@ export async function handleGitCommitsDetails({
   }
 }
 
+/**
+ * Counts the occurrences of a string in lines, the way git log -S counts
+ * them (without overlaps)
+ * @param {Object[]} lines - Diff lines
+ * @param {string} needle - String to count
+ * @returns {number} - Number of occurrences
+ */
+function countOccurrences(lines, needle) {
+  return lines.reduce(
+    (sum, line) => sum + line.content.split(needle).length - 1,
+    0
+  );
+}
+
+/**
+ * Picks the hunks of a file where the pattern changed: with -S those whose
+ * removed and added lines hold a different number of occurrences, with -G
+ * those with a removed or added line that matches. When no single hunk
+ * qualifies (a match spanning hunks, or a regex JavaScript reads
+ * differently), all hunks of the file are kept.
+ * @param {Object[]} hunks - Hunks from parseDiff
+ * @param {string} pattern - Search pattern
+ * @param {boolean} regex - Whether the pattern is a -G regular expression
+ * @returns {Object[]} - Hunks where the pattern changed
+ */
+function pickaxeHunks(hunks, pattern, regex) {
+  let matcher = null;
+  if (regex) {
+    try {
+      matcher = new RegExp(pattern);
+    } catch (error) {
+      return hunks;
+    }
+  }
+
+  const picked = hunks.filter((hunk) => {
+    const removed = hunk.lines.filter((line) => line.type === "delete");
+    const added = hunk.lines.filter((line) => line.type === "add");
+    if (matcher) {
+      return [...removed, ...added].some((line) => matcher.test(line.content));
+    }
+    return (
+      countOccurrences(removed, pattern) !== countOccurrences(added, pattern)
+    );
+  });
+  return picked.length > 0 ? picked : hunks;
+}
+
+/**
+ * Handles the git_search_history tool request: the commits that added or
+ * removed a string (git log -S) or changed lines matching a regular
+ * expression (git log -G), with the hunks where that happened
+ * @param {Object} params - Tool parameters
+ * @param {string} params.repo_url - Repository URL
+ * @param {string} params.pattern - String, or regular expression with regex
+ * @param {boolean} params.regex - Search changed lines matching a regular
+ *   expression (-G) instead of changes in the number of occurrences of a
+ *   string (-S)
+ * @param {string} params.revision_range - Revision or range to search (e.g.
+ *   v1.0..main; default: HEAD)
+ * @param {string[]} params.paths - Paths to limit the search to
+ * @param {string} params.author - Author filter
+ * @param {string} params.since - Date filter (after)
+ * @param {string} params.until - Date filter (before)
+ * @param {number} params.max_count - Maximum number of commits
+ * @param {string} params.clone_strategy - Clone strategy (full, shallow, blobless, treeless)
+ * @param {number} params.clone_depth - Commits to fetch with the shallow strategy
+ * @returns {Object} - Tool response
+ */
+export async function handleGitSearchHistory({
+  repo_url,
+  pattern,
+  regex = false,
+  revision_range = "HEAD",
+  paths = [],
+  author,
+  since,
+  until,
+  max_count = 10,
+  clone_strategy = null,
+  clone_depth = 1,
+}) {
+  // The range is passed to git as an argument; never let it act as an option
+  if (revision_range.startsWith("-")) {
+    return historyArgumentError(`Invalid revision range: ${revision_range}`);
+  }
+
+  try {
+    const repoPath = await cloneRepo(repo_url, {
+      strategy: clone_strategy,
+      depth: clone_depth,
+    });
+    const git = cloneGit(repoPath);
+
+    const pickaxe = [regex ? `-G${pattern}` : `-S${pattern}`];
+    const filters = [];
+    if (author) filters.push(`--author=${author}`);
+    if (since) filters.push(`--since=${since}`);
+    if (until) filters.push(`--until=${until}`);
+
+    // A shallow clone's oldest commit seems to add every file, so the clone
+    // is deepened until no result is a boundary commit
+    const commits = await withHistory(
+      repoPath,
+      () =>
+        logCommits(git, [
+          ...pickaxe,
+          ...filters,
+          `--max-count=${max_count}`,
+          revision_range,
+          "--",
+          ...paths,
+        ]),
+      (result, boundary) =>
+        result.length >= max_count &&
+        !result.some((commit) => boundary.has(commit.hash))
+    );
+
+    for (const commit of commits) {
+      // Without --pickaxe-all, only the files where the pattern changed
+      // are shown
+      const patch = await git.raw([
+        "-c",
+        "core.quotePath=false",
+        "show",
+        "--format=",
+        "--no-color",
+        "--no-ext-diff",
+        "--find-renames",
+        ...pickaxe,
+        commit.hash,
+        "--",
+        ...paths,
+      ]);
+      commit.hunks = parseDiff(patch).flatMap((file) =>
+        pickaxeHunks(file.hunks, pattern, regex).map((hunk) => ({
+          file: file.new_path || file.old_path,
+          // Renamed files also name their old path
+          ...(file.old_path &&
+            file.new_path &&
+            file.old_path !== file.new_path && { old_path: file.old_path }),
+          ...hunk,
+        }))
+      );
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              pattern: pattern,
+              regex: regex,
+              revision_range: revision_range,
+              commits: commits,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            { error: `Failed to search history: ${error.message}` },
+            null,
+            2
+          ),
+        },
+      ],
+      isError: true,
+    };
+  }
+}
+
+/**
+ * Runs git log --numstat for a single file and reads each commit with the
+ * file's line counts. Each commit starts with a \x01 and its fields; the
+ * numstat entry follows them.
+ * @param {Object} git - simple-git instance
+ * @param {string[]} args - Options, revisions and the pathspec for git log
+ * @returns {Promise<Object[]>} - Commits (see logCommits) with `path`,
+ *   `old_path`, `additions`, `deletions` and `binary` of the file
+ */
+async function logFileCommits(git, args) {
+  const names = Object.keys(COMMIT_FIELDS);
+  const output = await git.raw([
+    "-c",
+    "core.quotePath=false",
+    "log",
+    "-z",
+    "--numstat",
+    `--format=%x01${Object.values(COMMIT_FIELDS).join("%x00")}`,
+    ...args,
+  ]);
+
+  return output
+    .split("\x01")
+    .filter(Boolean)
+    .map((entry) => {
+      const values = entry.split("\0");
+      const commit = Object.fromEntries(
+        names.map((name, index) => [name, values[index]])
+      );
+      commit.body = commit.body.trim();
+      const [file] = parseNumstat(values.slice(names.length).join("\0")).files;
+      return {
+        ...commit,
+        path: file ? file.path : null,
+        old_path: file ? file.old_path : null,
+        additions: file ? file.additions : 0,
+        deletions: file ? file.deletions : 0,
+        binary: file ? file.binary : false,
+      };
+    });
+}
+
+/**
+ * Handles the git_file_history tool request: the commits that changed a
+ * file, following it across renames, with the file's path and changed
+ * lines at each of them
+ * @param {Object} params - Tool parameters
+ * @param {string} params.repo_path - Local repository path
+ * @param {string} params.repo_url - Repository URL (used when repo_path is not given)
+ * @param {string} params.file_path - Path of the file at ref
+ * @param {string} params.ref - Branch, tag or commit to start from (default: HEAD)
+ * @param {number} params.max_count - Maximum number of commits
+ * @param {boolean} params.follow - Follow the file across renames
+ * @param {boolean} params.include_patch - Include each commit's patch of the file
+ * @param {string} params.clone_strategy - Clone strategy (full, shallow, blobless, treeless)
+ * @param {number} params.clone_depth - Commits to fetch with the shallow strategy
+ * @returns {Object} - Tool response
+ */
+export async function handleGitFileHistory({
+  repo_path = null,
+  repo_url = null,
+  file_path,
+  ref = "HEAD",
+  max_count = 10,
+  follow = true,
+  include_patch = false,
+  clone_strategy = null,
+  clone_depth = 1,
+}) {
+  if (!repo_path && !repo_url) {
+    return historyArgumentError("Either repo_path or repo_url is required");
+  }
+  // The ref is passed to git as an argument; never let it act as an option
+  if (ref.startsWith("-")) {
+    return historyArgumentError(`Invalid ref: ${ref}`);
+  }
+
+  try {
+    const clone = !repo_path;
+    const repoPath =
+      repo_path ||
+      (await cloneRepo(repo_url, {
+        strategy: clone_strategy,
+        depth: clone_depth,
+      }));
+    const git = clone ? cloneGit(repoPath) : simpleGit(repoPath);
+
+    const run = () =>
+      logFileCommits(git, [
+        ...(follow ? ["--follow"] : []),
+        `--max-count=${max_count}`,
+        ref,
+        "--",
+        file_path,
+      ]);
+    // A shallow clone's oldest commit seems to add the file, so the clone
+    // is deepened until no listed commit is a boundary commit
+    const commits = clone
+      ? await withHistory(
+          repoPath,
+          run,
+          (result, boundary) =>
+            result.length >= max_count &&
+            !result.some((commit) => boundary.has(commit.hash))
+        )
+      : await run();
+
+    if (include_patch) {
+      for (const commit of commits) {
+        // Both paths of a rename, so the patch shows it as one
+        const paths = [commit.old_path, commit.path || file_path].filter(Boolean);
+        commit.patch = await git.raw([
+          "-c",
+          "core.quotePath=false",
+          "show",
+          "--format=",
+          "--no-color",
+          "--no-ext-diff",
+          "--find-renames",
+          commit.hash,
+          "--",
+          ...paths,
+        ]);
+      }
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              file_path: file_path,
+              ref: ref,
+              follow: follow,
+              commits: commits,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            { error: `Failed to get file history: ${error.message}` },
+            null,
+            2
+          ),
+        },
+      ],
+      isError: true,
+    };
+  }
+}
+
 /**
  * Creates a commit with the specified message
  * @param {string} repoPath - Path to the local repository
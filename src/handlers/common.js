@@ -1,10 +1,43 @@
 import path from "path";
 import fs from "fs-extra";
 import { simpleGit } from "simple-git";
-import { exec } from "child_process";
+import { exec, execFile } from "child_process";
 import { promisify } from "util";
-import { cloneRepo, getDirectoryTree } from "../utils/git.js";
+import {
+  cloneRepo,
+  cloneGit,
+  cloneEnv,
+  fetchBranch,
+  readBlobs,
+  listFiles,
+  binaryAttributes,
+  listTreeEntries,
+  withHistory,
+} from "../utils/git.js";
+import { resolveWithinRoot } from "../utils/sandbox.js";
+import { EMPTY_TREE, getDiff, parseDiff, parseNumstat } from "../utils/diff.js";
 
 const execPromise = promisify(exec);
+const execFilePromise = promisify(execFile);
 
-export { path, fs, simpleGit, execPromise, cloneRepo, getDirectoryTree };
+export {
+  path,
+  fs,
+  simpleGit,
+  execPromise,
+  execFilePromise,
+  cloneRepo,
+  cloneGit,
+  cloneEnv,
+  fetchBranch,
+  readBlobs,
+  listFiles,
+  binaryAttributes,
+  listTreeEntries,
+  withHistory,
+  resolveWithinRoot,
+  EMPTY_TREE,
+  getDiff,
+  parseDiff,
+  parseNumstat,
+};
@@ -0,0 +1,231 @@
+import {
+  simpleGit,
+  cloneRepo,
+  cloneGit,
+  withHistory,
+  getDiff,
+} from "./common.js";
+
+// git diff options for each ignore_whitespace value
+const WHITESPACE_OPTIONS = {
+  none: [],
+  all: ["--ignore-all-space"],
+  change: ["--ignore-space-change"],
+  eol: ["--ignore-space-at-eol"],
+  "cr-at-eol": ["--ignore-cr-at-eol"],
+};
+
+/**
+ * Builds an error response for invalid git_diff arguments
+ * @param {string} message - Error message
+ * @returns {Object} - Tool response with isError set
+ */
+function diffArgumentError(message) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({ error: message }, null, 2),
+      },
+    ],
+    isError: true,
+  };
+}
+
+/**
+ * Resolves a revision. Clones of repo_url have the remote's branches as
+ * local branches, so `origin/<branch>` is accepted for them as well.
+ * @param {Object} git - simple-git instance
+ * @param {string} revision - Revision to resolve
+ * @param {boolean} clone - Whether the repository is a clone of repo_url
+ * @returns {Promise<string>} - Revision git can resolve
+ */
+async function resolveRevision(git, revision, clone) {
+  const verify = async (rev) =>
+    (
+      await git.raw(["rev-parse", "--verify", "--quiet", `${rev}^{commit}`])
+    ).trim();
+
+  if (!clone || (await verify(revision))) {
+    return revision;
+  }
+  const branch = revision.replace(/^origin\//, "");
+  if (branch !== revision && (await verify(branch))) {
+    return branch;
+  }
+  throw new Error(`Unknown revision: ${revision}`);
+}
+
+/**
+ * Handles the git_diff tool request: compares two revisions, a revision and
+ * the working tree, the index and HEAD (staged), or the working tree and
+ * the index
+ * @param {Object} params - Tool parameters
+ * @param {string} params.repo_path - Local repository path
+ * @param {string} params.repo_url - Repository URL (used when repo_path is not given)
+ * @param {string} params.from - Base revision
+ * @param {string} params.to - Revision to compare with (default: working tree or index)
+ * @param {boolean} params.staged - Compare the index instead of the working tree
+ * @param {string} params.mode - two-dot (from..to) or three-dot (merge base of from and to..to)
+ * @param {string[]} params.paths - Pathspecs limiting the diff
+ * @param {boolean} params.find_renames - Whether to detect renames
+ * @param {number} params.rename_threshold - Similarity (%) for renames
+ * @param {boolean} params.find_copies - Whether to detect copies
+ * @param {number} params.copy_threshold - Similarity (%) for copies
+ * @param {string} params.ignore_whitespace - Whitespace changes to ignore
+ * @param {boolean} params.ignore_blank_lines - Whether to ignore added or removed blank lines
+ * @param {number} params.context_lines - Lines of context around changes
+ * @param {boolean} params.word_diff - Whether to diff words instead of lines (patch format only)
+ * @param {string} params.format - Output format (structured, patch, stat)
+ * @param {string} params.clone_strategy - Clone strategy for repo_url (full, shallow, blobless, treeless)
+ * @param {number} params.clone_depth - Commits to fetch with the shallow strategy
+ * @returns {Object} - Tool response
+ */
+export async function handleGitDiff({
+  repo_path,
+  repo_url,
+  from = null,
+  to = null,
+  staged = false,
+  mode = "two-dot",
+  paths = [],
+  find_renames = true,
+  rename_threshold = null,
+  find_copies = false,
+  copy_threshold = null,
+  ignore_whitespace = "none",
+  ignore_blank_lines = false,
+  context_lines = null,
+  word_diff = false,
+  format = "structured",
+  clone_strategy = null,
+  clone_depth = 1,
+}) {
+  if (!repo_path && !repo_url) {
+    return diffArgumentError("Either repo_path or repo_url is required");
+  }
+  if (to && !from) {
+    return diffArgumentError("'to' needs a 'from' revision to compare with");
+  }
+  if (to && staged) {
+    return diffArgumentError(
+      "'staged' compares the index and cannot be combined with 'to'"
+    );
+  }
+  if (mode === "three-dot" && !to) {
+    return diffArgumentError("three-dot mode needs both 'from' and 'to'");
+  }
+  if (word_diff && format !== "patch") {
+    return diffArgumentError("word_diff is only available with format 'patch'");
+  }
+  // Revisions are passed to git as arguments; never let them act as options
+  const invalid = [from, to].find((rev) => rev && rev.startsWith("-"));
+  if (invalid) {
+    return diffArgumentError(`Invalid revision: ${invalid}`);
+  }
+
+  try {
+    const clone = !repo_path;
+    const repoPath =
+      repo_path ||
+      (await cloneRepo(repo_url, {
+        strategy: clone_strategy,
+        depth: clone_depth,
+        // Comparisons with the working tree or index need a checkout
+        checkout: !to,
+      }));
+    const git = clone ? cloneGit(repoPath) : simpleGit(repoPath);
+
+    const options = [];
+    if (!find_renames) {
+      options.push("--no-renames");
+    } else if (rename_threshold !== null) {
+      options.push(`--find-renames=${rename_threshold}%`);
+    }
+    if (find_copies) {
+      options.push(
+        copy_threshold !== null ? `--find-copies=${copy_threshold}%` : "--find-copies"
+      );
+    }
+    options.push(...WHITESPACE_OPTIONS[ignore_whitespace]);
+    if (ignore_blank_lines) {
+      options.push("--ignore-blank-lines");
+    }
+    if (context_lines !== null) {
+      options.push(`--unified=${context_lines}`);
+    }
+    if (word_diff) {
+      options.push("--word-diff=plain");
+    }
+    if (staged) {
+      options.push("--cached");
+    }
+
+    // Revisions: from..to, from...to, from (vs. working tree or index) or none
+    const revisions = [];
+    let comparison;
+    if (from) {
+      const base = await resolveRevision(git, from, clone);
+      if (to) {
+        const target = await resolveRevision(git, to, clone);
+        if (mode === "three-dot" && clone) {
+          // A shallow clone needs the history back to the merge base
+          await withHistory(
+            repoPath,
+            () => git.raw(["merge-base", base, target]).catch(() => ""),
+            (mergeBase) => mergeBase.trim() !== ""
+          );
+        }
+        revisions.push(
+          mode === "three-dot" ? `${base}...${target}` : `${base}..${target}`
+        );
+        comparison = mode === "three-dot" ? "merge-base..revision" : "revision..revision";
+      } else {
+        revisions.push(base);
+        comparison = staged ? "revision..index" : "revision..working-tree";
+      }
+    } else {
+      comparison = staged ? "HEAD..index" : "index..working-tree";
+    }
+
+    const diff = await getDiff(
+      git,
+      [...options, ...revisions, "--", ...paths],
+      format
+    );
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              comparison: comparison,
+              from: from,
+              to: to,
+              mode: to ? mode : null,
+              format: format,
+              ...diff,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            { error: `Failed to get diff: ${error.message}` },
+            null,
+            2
+          ),
+        },
+      ],
+      isError: true,
+    };
+  }
+}
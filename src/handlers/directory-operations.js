@@ -1,27 +1,172 @@
 import {
-  execPromise,
   cloneRepo,
-  getDirectoryTree,
+  cloneGit,
+  cloneEnv,
+  fetchBranch,
+  readBlobs,
+  listFiles,
+  binaryAttributes,
+  listTreeEntries,
+  withHistory,
   simpleGit,
-  path,
   fs,
+  path,
+  resolveWithinRoot,
+  getDiff,
 } from "./common.js";
+import {
+  decodeText,
+  detectEncoding,
+  truncateText,
+} from "../utils/file-content.js";
+import { globToRegExp, isGlob } from "../utils/glob.js";
+import { buildTree, renderTree, treeToJson } from "../utils/tree.js";
+import { decodeCursor, encodeCursor } from "../utils/cursor.js";
+import { runGitGrep } from "../utils/grep.js";
+
+// Bytes of file contents git_read_files returns by default, over all files
+const DEFAULT_READ_BUDGET = 256 * 1024;
+
+// Entries git_directory_structure lists by default before truncating
+const DEFAULT_TREE_ENTRIES = 1000;
+
+/**
+ * Builds an error result for invalid file reading or search arguments
+ * @param {string} message - Error message
+ * @returns {Object} - Tool response with isError set
+ */
+function readArgumentError(message) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({ error: message }, null, 2),
+      },
+    ],
+    isError: true,
+  };
+}
 
 /**
- * Handles the git_directory_structure tool request
+ * Resolves a ref (branch, tag, commit) to a commit. A clone of repo_url
+ * may not have it yet: the branch may be newer than the last fetch, or the
+ * commit older than a shallow clone.
+ * @param {string} repoPath - Repository path
+ * @param {string} ref - Ref to resolve
+ * @param {boolean} clone - Whether the repository is a clone of repo_url
+ * @returns {Promise<string>} - Commit SHA
+ */
+async function resolveRef(repoPath, ref, clone) {
+  const git = clone ? cloneGit(repoPath) : simpleGit(repoPath);
+  const verify = async () =>
+    (
+      await git
+        .raw(["rev-parse", "--verify", "--quiet", `${ref}^{commit}`])
+        .catch(() => "")
+    ).trim();
+
+  let commit = await verify();
+  if (!commit && clone) {
+    // Not a branch on the remote either, when the fetch fails
+    await fetchBranch(repoPath, ref).catch(() => {});
+    commit = await withHistory(repoPath, verify, (result) => result !== "");
+  }
+  if (!commit) {
+    throw new Error(`Unknown ref: ${ref}`);
+  }
+  return commit;
+}
+
+/**
+ * Handles the git_directory_structure tool request: the files of the working
+ * tree, or of a ref, as an ASCII tree or JSON
  * @param {Object} params - Tool parameters
  * @param {string} params.repo_url - Repository URL
+ * @param {string} params.ref - Branch, tag or commit to list (default: the working tree)
+ * @param {string} params.subpath - Directory to use as the root of the tree
+ * @param {number} params.max_depth - Deepest level listed
+ * @param {string[]} params.include - Globs of the files to list
+ * @param {string[]} params.exclude - Globs of files and directories to leave out
+ * @param {boolean} params.respect_gitignore - Leave out files ignored by .gitignore
+ * @param {string} params.format - text (ASCII tree) or json
+ * @param {number} params.max_entries - Most entries listed before the output is truncated
+ * @param {string} params.clone_strategy - Clone strategy (full, shallow, blobless, treeless)
+ * @param {number} params.clone_depth - Commits to fetch with the shallow strategy
  * @returns {Object} - Tool response
  */
-export async function handleGitDirectoryStructure({ repo_url }) {
+export async function handleGitDirectoryStructure({
+  repo_url,
+  ref = null,
+  subpath = "",
+  max_depth = null,
+  include = [],
+  exclude = [],
+  respect_gitignore = true,
+  format = "text",
+  max_entries = DEFAULT_TREE_ENTRIES,
+  clone_strategy = null,
+  clone_depth = 1,
+}) {
   try {
-    const repoPath = await cloneRepo(repo_url);
-    const tree = await getDirectoryTree(repoPath);
+    // The ref is passed to git as an argument; never let it act as an option
+    if (ref && ref.startsWith("-")) {
+      throw new Error(`Invalid ref: ${ref}`);
+    }
+    const root = path.posix
+      .normalize(subpath.replace(/\\/g, "/"))
+      .replace(/^\/+|\/+$/g, "")
+      .replace(/^\.$/, "");
+    if (root === ".." || root.startsWith("../")) {
+      throw new Error(`Subpath is outside the repository: ${subpath}`);
+    }
+
+    const repoPath = await cloneRepo(repo_url, {
+      strategy: clone_strategy,
+      depth: clone_depth,
+      // A ref is listed from its tree objects, without a checkout
+      checkout: !ref,
+    });
+    const commit = ref ? await resolveRef(repoPath, ref, true) : null;
+    if (root && !commit) {
+      // Reject symlink escapes out of the clone
+      await resolveWithinRoot(repoPath, root);
+    }
+
+    const entries = await listTreeEntries(repoPath, {
+      commit: commit,
+      subpath: root,
+      gitignore: respect_gitignore,
+    });
+    if (root && !entries.some((entry) => entry.path.startsWith(`${root}/`))) {
+      throw new Error(`Not a directory with files: ${root}`);
+    }
+
+    const tree = buildTree(entries, { root, include, exclude });
+    const options = { maxDepth: max_depth, maxEntries: max_entries };
+    if (format === "json") {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                ...(ref && { ref: ref, commit: commit }),
+                root: root,
+                ...treeToJson(tree, options),
+                max_entries: max_entries,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    }
     return {
       content: [
         {
           type: "text",
-          text: tree,
+          text: renderTree(tree, options),
         },
       ],
     };
@@ -39,35 +184,129 @@ export async function handleGitDirectoryStructure({ repo_url }) {
 }
 
 /**
- * Handles the git_read_files tool request
+ * Handles the git_read_files tool request. Files are read from the working
+ * tree, or with a ref from the object database. Their contents share a
+ * byte budget; binary files are described or base64-encoded.
  * @param {Object} params - Tool parameters
- * @param {string} params.repo_url - Repository URL
- * @param {string[]} params.file_paths - File paths to read
+ * @param {string} params.repo_path - Local repository path
+ * @param {string} params.repo_url - Repository URL (used when repo_path is not given)
+ * @param {Array<string|Object>} params.file_paths - File paths or globs, or
+ *   `{ path, start_line, end_line }` to read a range of lines
+ * @param {string} params.ref - Branch, tag or commit to read the files of
+ * @param {number} params.max_bytes - Byte budget of all returned contents
+ * @param {string} params.binary - Binary files as metadata only or base64
+ * @param {string} params.encoding - Text encoding, or auto to detect it
+ * @param {string} params.clone_strategy - Clone strategy (full, shallow, blobless, treeless)
+ * @param {number} params.clone_depth - Commits to fetch with the shallow strategy
+ * @param {boolean} params.sparse - Check out only the directories of file_paths in a new clone
  * @returns {Object} - Tool response
  */
-export async function handleGitReadFiles({ repo_url, file_paths }) {
+export async function handleGitReadFiles({
+  repo_path = null,
+  repo_url = null,
+  file_paths,
+  ref = null,
+  max_bytes = DEFAULT_READ_BUDGET,
+  binary = "metadata",
+  encoding = "auto",
+  clone_strategy = null,
+  clone_depth = 1,
+  sparse = false,
+}) {
+  if (!repo_path && !repo_url) {
+    return readArgumentError("Either repo_path or repo_url is required");
+  }
+  // The ref is passed to git as an argument; never let it act as an option
+  if (ref && ref.startsWith("-")) {
+    return readArgumentError(`Invalid ref: ${ref}`);
+  }
+  // Plain paths and { path, start_line, end_line } entries
+  const requests = file_paths.map((entry) =>
+    typeof entry === "string" ? { path: entry } : entry
+  );
+  const reversed = requests.find(
+    (request) =>
+      request.start_line && request.end_line && request.start_line > request.end_line
+  );
+  if (reversed) {
+    return readArgumentError(
+      `start_line is after end_line for ${reversed.path}`
+    );
+  }
+
   try {
-    const repoPath = await cloneRepo(repo_url);
+    const clone = !repo_path;
+    const globs = requests.some((request) => isGlob(request.path));
+    const repoPath =
+      repo_path ||
+      (await cloneRepo(repo_url, {
+        strategy: clone_strategy,
+        depth: clone_depth,
+        // Blobs of a ref need no checkout; globs need the whole tree
+        checkout: ref ? false : globs || requests.map((request) => request.path),
+        sparse: sparse,
+      }));
+    const git = clone ? cloneGit(repoPath) : simpleGit(repoPath);
+    const commit = ref ? await resolveRef(repoPath, ref, clone) : null;
+
+    const files = await expandFileRequests(git, commit, requests);
+    const contents = commit
+      ? await readRefFiles(repoPath, commit, files)
+      : await readWorkingTreeFiles(repoPath, files);
+    const markedBinary = await binaryAttributes(
+      git,
+      contents.filter((file) => !file.error).map((file) => file.path)
+    );
+
     const results = {};
+    let remaining = max_bytes;
+    let truncated = false;
+    for (const file of contents) {
+      if (file.error) {
+        results[file.key] = { error: file.error };
+        continue;
+      }
+      const entry = describeFile(file, {
+        binary,
+        encoding,
+        markedBinary: markedBinary.has(file.path),
+      });
 
-    for (const filePath of file_paths) {
-      const fullPath = path.join(repoPath, filePath);
-      try {
-        if (await fs.pathExists(fullPath)) {
-          results[filePath] = await fs.readFile(fullPath, "utf8");
+      const size =
+        entry.content === undefined ? 0 : Buffer.byteLength(entry.content);
+      if (size > remaining) {
+        truncated = true;
+        entry.truncated = true;
+        if (entry.binary) {
+          // Part of a base64 file is of no use
+          delete entry.content;
         } else {
-          results[filePath] = "Error: File not found";
+          const shown = truncateText(entry.content, remaining);
+          const marker = `[truncated: ${Buffer.byteLength(shown)} of ${size} bytes shown, byte budget of ${max_bytes} reached]`;
+          entry.content = shown ? `${shown}\n${marker}` : marker;
         }
-      } catch (error) {
-        results[filePath] = `Error reading file: ${error.message}`;
+        remaining = 0;
+      } else {
+        remaining -= size;
       }
+      results[file.key] = entry;
     }
 
     return {
       content: [
         {
           type: "text",
-          text: JSON.stringify(results, null, 2),
+          text: JSON.stringify(
+            {
+              ...(ref && { ref: ref, commit: commit }),
+              files: results,
+              total_bytes: max_bytes - remaining,
+              max_bytes: max_bytes,
+              truncated: truncated,
+            },
+            null,
+            2
+          ),
         },
       ],
     };
@@ -89,127 +328,465 @@ export async function handleGitReadFiles({ repo_url, file_paths }) {
 }
 
 /**
- * Handles the git_search_code tool request
+ * Expands the globs among the requested files against the files of the
+ * commit (or the working tree), keeping each request's line range. A path
+ * that names an existing file is read as it is, even with glob characters,
+ * and a file requested by path is not read again for a glob matching it.
+ * @param {Object} git - simple-git instance
+ * @param {string|null} commit - Commit the files are read from
+ * @param {Object[]} requests - Requested files ({ path, start_line, end_line })
+ * @returns {Promise<Object[]>} - Files to read, each with the key it is
+ *   reported under and its repository-relative path, or with an error
+ */
+async function expandFileRequests(git, commit, requests) {
+  const tree = requests.some((request) => isGlob(request.path))
+    ? new Set(await listFiles(git, commit))
+    : new Set();
+
+  // Object names and attributes take paths relative to the root
+  const relative = (filePath) =>
+    path.posix.normalize(filePath.replace(/\\/g, "/").replace(/^\/+/, ""));
+  const isPattern = (request) =>
+    isGlob(request.path) && !tree.has(relative(request.path));
+
+  // Files requested by path, which glob matches leave to those requests
+  const explicit = new Set(
+    requests
+      .filter((request) => !isPattern(request))
+      .map((request) => relative(request.path))
+  );
+
+  const files = [];
+  const matched = new Set();
+  for (const request of requests) {
+    if (!isPattern(request)) {
+      files.push({ ...request, key: request.path, path: relative(request.path) });
+      continue;
+    }
+    const pattern = globToRegExp(request.path);
+    const matches = [...tree].filter((filePath) => pattern.test(filePath));
+    if (matches.length === 0) {
+      files.push({ key: request.path, error: "No files match the pattern" });
+    }
+    for (const match of matches) {
+      if (!explicit.has(match) && !matched.has(match)) {
+        matched.add(match);
+        files.push({ ...request, key: match, path: match });
+      }
+    }
+  }
+  return files;
+}
+
+/**
+ * Reads files of a commit in one cat-file call
+ * @param {string} repoPath - Repository path
+ * @param {string} commit - Commit to read the files of
+ * @param {Object[]} files - Files from expandFileRequests
+ * @returns {Promise<Object[]>} - The files with blob, size and content (a
+ *   Buffer), or an error
+ */
+async function readRefFiles(repoPath, commit, files) {
+  // A path out of the repository fails the whole cat-file call, so it is
+  // reported per file, as in the working tree
+  files = files.map((file) =>
+    !file.error && (file.path === ".." || file.path.startsWith("../"))
+      ? {
+          ...file,
+          error: `Error reading file: Path escapes the repository: ${file.path}`,
+        }
+      : file
+  );
+
+  const readable = files.filter((file) => !file.error);
+  const blobs = await readBlobs(
+    repoPath,
+    commit,
+    readable.map((file) => file.path)
+  );
+
+  return files.map((file) => {
+    if (file.error) {
+      return file;
+    }
+    const blob = blobs[readable.indexOf(file)];
+    if (blob.missing) {
+      return { ...file, error: "File not found" };
+    }
+    if (blob.type !== "blob") {
+      return { ...file, error: `Not a file: ${file.key} is a ${blob.type}` };
+    }
+    return { ...file, blob: blob.blob, size: blob.size, content: blob.content };
+  });
+}
+
+/**
+ * Reads files of the working tree
+ * @param {string} repoPath - Repository path
+ * @param {Object[]} files - Files from expandFileRequests
+ * @returns {Promise<Object[]>} - The files with size and content (a
+ *   Buffer), or an error
+ */
+async function readWorkingTreeFiles(repoPath, files) {
+  const results = [];
+  for (const file of files) {
+    if (file.error) {
+      results.push(file);
+      continue;
+    }
+    try {
+      // Reject "../" and symlink escapes out of the repository
+      const fullPath = await resolveWithinRoot(repoPath, file.path);
+      if (!(await fs.pathExists(fullPath))) {
+        results.push({ ...file, error: "File not found" });
+      } else if ((await fs.stat(fullPath)).isDirectory()) {
+        results.push({ ...file, error: `Not a file: ${file.key} is a directory` });
+      } else {
+        const content = await fs.readFile(fullPath);
+        results.push({ ...file, size: content.length, content: content });
+      }
+    } catch (error) {
+      results.push({ ...file, error: `Error reading file: ${error.message}` });
+    }
+  }
+  return results;
+}
+
+/**
+ * Describes a file read by git_read_files: text is decoded and cut to its
+ * line range, binary files (NUL bytes, or binary in .gitattributes) are
+ * returned as metadata only or base64
+ * @param {Object} file - File with its content as a Buffer
+ * @param {Object} options - Output options
+ * @param {string} options.binary - metadata or base64
+ * @param {string} options.encoding - Text encoding, or auto to detect it
+ * @param {boolean} options.markedBinary - Whether .gitattributes marks it binary
+ * @returns {Object} - File entry of the result
+ */
+function describeFile(file, { binary, encoding, markedBinary }) {
+  const entry = {
+    ...(file.blob && { blob: file.blob }),
+    size: file.size,
+  };
+
+  // An explicit encoding reads the file as text regardless
+  const detected =
+    encoding !== "auto" ? encoding : markedBinary ? null : detectEncoding(file.content);
+  if (!detected) {
+    entry.binary = true;
+    if (binary === "base64") {
+      entry.encoding = "base64";
+      entry.content = file.content.toString("base64");
+    }
+    return entry;
+  }
+
+  entry.encoding = detected;
+  const text = decodeText(file.content, detected);
+  if (!file.start_line && !file.end_line) {
+    entry.content = text;
+    return entry;
+  }
+
+  const lines = text.split("\n");
+  // A final newline does not start another line
+  const totalLines = text.endsWith("\n") ? lines.length - 1 : lines.length;
+  entry.start_line = file.start_line || 1;
+  entry.end_line = Math.min(file.end_line || totalLines, totalLines);
+  entry.total_lines = totalLines;
+  entry.content = lines.slice(entry.start_line - 1, entry.end_line).join("\n");
+  return entry;
+}
+
+// Largest output read from one `git grep` call
+const MAX_SEARCH_OUTPUT = 64 * 1024 * 1024;
+
+// Results git_search_code returns by default before paging
+const DEFAULT_SEARCH_RESULTS = 100;
+
+/**
+ * Translates a search pattern to git grep arguments. A pattern is a string,
+ * or an object combining patterns: `{ and: [...] }`, `{ or: [...] }` or
+ * `{ not: pattern }`. Like git grep, combinations apply to single lines.
+ * @param {string|Object} pattern - Search pattern
+ * @returns {string[]|null} - Arguments, or null if the pattern is malformed
+ */
+function patternArguments(pattern) {
+  if (typeof pattern === "string") {
+    return ["-e", pattern];
+  }
+  if (
+    !pattern ||
+    typeof pattern !== "object" ||
+    Object.keys(pattern).length !== 1
+  ) {
+    return null;
+  }
+  if ("not" in pattern) {
+    const operand = patternArguments(pattern.not);
+    return operand && ["--not", ...operand];
+  }
+
+  const operator = "and" in pattern ? "and" : "or" in pattern ? "or" : null;
+  const operands = operator && pattern[operator];
+  if (!Array.isArray(operands) || operands.length === 0) {
+    return null;
+  }
+  const args = operands.map(patternArguments);
+  if (args.includes(null)) {
+    return null;
+  }
+  return [
+    "(",
+    ...args.flatMap((operand, index) =>
+      index === 0 ? operand : [`--${operator}`, ...operand]
+    ),
+    ")",
+  ];
+}
+
+/**
+ * Lines around a match
+ * @param {string[]} lines - Lines of the file
+ * @param {number} lineNumber - Line of the match (1-based)
+ * @param {number} count - Lines to take on each side
+ * @returns {Object} - `{ context_before, context_after }` of
+ *   `{ line_number, content }` entries
+ */
+function contextAround(lines, lineNumber, count) {
+  // A final newline ends the last line rather than starting an empty one
+  const last = lines[lines.length - 1] === "" ? lines.length - 1 : lines.length;
+  const context = (from, to) => {
+    const first = Math.max(from, 1);
+    return lines.slice(first - 1, Math.min(to, last)).map((content, index) => ({
+      line_number: first + index,
+      content: content,
+    }));
+  };
+  return {
+    context_before: context(lineNumber - count, lineNumber - 1),
+    context_after: context(lineNumber + 1, lineNumber + count),
+  };
+}
+
+/**
+ * Key of a file searched in the working tree or at a commit
+ * @param {Object} record - Record with `file` and, at a commit, `commit`
+ * @returns {string} - Key unique per commit and path
+ */
+function fileKey(record) {
+  return `${record.commit || ""}:${record.file}`;
+}
+
+/**
+ * Groups matching lines by file and adds the lines around them. git grep
+ * --null prints context lines just like matches, so the context is read
+ * from the files (or their blobs at a commit) instead of git grep -C.
+ * @param {string} repoPath - Repository path
+ * @param {Object[]} matches - `{ file, line_number, content }` records, with
+ *   `ref` and `commit` when searching commits
+ * @param {number} contextLines - Lines of context on each side
+ * @returns {Promise<Object[]>} - `{ ref, file, matches }` per file
+ */
+async function matchesWithContext(repoPath, matches, contextLines) {
+  const files = new Map();
+  for (const match of matches) {
+    const key = fileKey(match);
+    if (!files.has(key)) {
+      files.set(key, {
+        ref: match.ref,
+        commit: match.commit,
+        file: match.file,
+        matches: [],
+      });
+    }
+    files.get(key).matches.push(match);
+  }
+
+  const lines = new Map();
+  if (contextLines > 0) {
+    for (const commit of new Set(matches.map((match) => match.commit))) {
+      const paths = [...files.values()]
+        .filter((entry) => entry.commit === commit)
+        .map((entry) => entry.file);
+      const contents = commit
+        ? await readBlobs(repoPath, commit, paths)
+        : await Promise.all(
+            paths.map(async (filePath) => ({
+              path: filePath,
+              content: await fs.readFile(path.join(repoPath, filePath)),
+            }))
+          );
+      for (const file of contents) {
+        if (file.content) {
+          lines.set(
+            fileKey({ commit, file: file.path }),
+            file.content.toString("utf8").split("\n")
+          );
+        }
+      }
+    }
+  }
+
+  return [...files.entries()].map(([key, entry]) => ({
+    ...(entry.ref && { ref: entry.ref }),
+    file: entry.file,
+    matches: entry.matches.map((match) => ({
+      file: match.file,
+      line_number: match.line_number,
+      content: match.content,
+      ...contextAround(lines.get(key) || [], match.line_number, contextLines),
+    })),
+  }));
+}
+
+/**
+ * Handles the git_search_code tool request: git grep over the working tree,
+ * or over one or more refs
  * @param {Object} params - Tool parameters
- * @param {string} params.repo_url - Repository URL
- * @param {string} params.pattern - Search pattern (regex or string)
+ * @param {string} params.repo_path - Local repository path
+ * @param {string} params.repo_url - Repository URL (used when repo_path is not given)
+ * @param {string|Object} params.pattern - Search pattern, or `{ and: [...] }`,
+ *   `{ or: [...] }` or `{ not: pattern }` to combine patterns per line
  * @param {string[]} params.file_patterns - Optional file patterns to filter (e.g., "*.js")
  * @param {boolean} params.case_sensitive - Whether the search is case sensitive
  * @param {number} params.context_lines - Number of context lines to include
+ * @param {boolean} params.fixed_string - Patterns are literal strings
+ * @param {boolean} params.extended_regex - Patterns are POSIX extended regular expressions
+ * @param {boolean} params.perl_regex - Patterns are Perl-compatible regular expressions
+ * @param {boolean} params.whole_word - Match whole words only
+ * @param {string|string[]} params.ref - Branch, tag or commit (or a list of
+ *   them) to search instead of the working tree
+ * @param {string} params.mode - matches, count (matching lines per file) or files
+ * @param {number} params.max_results - Most results returned per page
+ * @param {string} params.cursor - next_cursor of the previous page
+ * @param {string} params.clone_strategy - Clone strategy (full, shallow, blobless, treeless)
+ * @param {number} params.clone_depth - Commits to fetch with the shallow strategy
  * @returns {Object} - Tool response
  */
 export async function handleGitSearchCode({
-  repo_url,
+  repo_path = null,
+  repo_url = null,
   pattern,
   file_patterns = [],
   case_sensitive = false,
   context_lines = 2,
+  fixed_string = false,
+  extended_regex = false,
+  perl_regex = false,
+  whole_word = false,
+  ref = null,
+  mode = "matches",
+  max_results = DEFAULT_SEARCH_RESULTS,
+  cursor = null,
+  clone_strategy = null,
+  clone_depth = 1,
 }) {
-  try {
-    const repoPath = await cloneRepo(repo_url);
+  if (!repo_path && !repo_url) {
+    return readArgumentError("Either repo_path or repo_url is required");
+  }
+  if ([fixed_string, extended_regex, perl_regex].filter(Boolean).length > 1) {
+    return readArgumentError(
+      "Only one of fixed_string, extended_regex and perl_regex can be set"
+    );
+  }
+  const patternArgs = patternArguments(pattern);
+  if (!patternArgs) {
+    return readArgumentError(
+      "pattern must be a string, or an object with and or or (a list of " +
+        "patterns) or not (a pattern)"
+    );
+  }
+  const refs = ref === null ? [] : [].concat(ref);
+  // Refs are passed to git as arguments; never let them act as options
+  const invalidRef = refs.find((name) => name.startsWith("-"));
+  if (invalidRef !== undefined) {
+    return readArgumentError(`Invalid ref: ${invalidRef}`);
+  }
 
-    // Build the grep command
-    let grepCommand = `cd "${repoPath}" && git grep`;
+  try {
+    const clone = !repo_path;
+    const repoPath =
+      repo_path ||
+      (await cloneRepo(repo_url, {
+        strategy: clone_strategy,
+        depth: clone_depth,
+        // Refs are searched in the object database
+        checkout: refs.length === 0,
+      }));
 
-    // Add options
-    if (!case_sensitive) {
-      grepCommand += " -i";
+    const resolved = [];
+    for (const name of refs) {
+      resolved.push({
+        ref: name,
+        commit: await resolveRef(repoPath, name, clone),
+      });
     }
-
-    // Add context lines
-    grepCommand += ` -n -C${context_lines}`;
-
-    // Add pattern (escape quotes in the pattern)
-    const escapedPattern = pattern.replace(/"/g, '\\"');
-    grepCommand += ` "${escapedPattern}"`;
-
-    // Add file patterns if provided
-    if (file_patterns && file_patterns.length > 0) {
-      grepCommand += ` -- ${file_patterns.join(" ")}`;
+    // Refs naming the same commit are searched once, under the first name
+    const refOfCommit = new Map();
+    for (const { ref: name, commit } of resolved) {
+      if (!refOfCommit.has(commit)) refOfCommit.set(commit, name);
     }
 
-    // Execute the command
-    const { stdout, stderr } = await execPromise(grepCommand);
-
-    if (stderr) {
-      console.error(`Search error: ${stderr}`);
+    // A cursor continues only the same search over the same commits
+    const search = {
+      pattern,
+      file_patterns,
+      case_sensitive,
+      fixed_string,
+      extended_regex,
+      perl_regex,
+      whole_word,
+      mode,
+      commits: [...refOfCommit.keys()],
+    };
+    const offset = cursor ? decodeCursor(cursor, search) : 0;
+    if (!Number.isInteger(offset) || offset < 0) {
+      return readArgumentError(
+        "Invalid cursor: it belongs to a different search, or the refs " +
+          "have moved since"
+      );
     }
 
-    // Process the results
-    const results = [];
-    if (stdout) {
-      // Split by file sections (git grep output format)
-      const fileMatches = stdout.split(/^(?=\S[^:]*:)/m);
-
-      for (const fileMatch of fileMatches) {
-        if (!fileMatch.trim()) continue;
-
-        // Extract file name and matches
-        const lines = fileMatch.split("\n");
-        const firstLine = lines[0];
-        const fileNameMatch = firstLine.match(/^([^:]+):/);
-
-        if (fileNameMatch) {
-          const fileName = fileNameMatch[1];
-          const matches = [];
-
-          // Process each line
-          let currentMatch = null;
-          let contextLines = [];
-
-          for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-            // Skip empty lines
-            if (!line.trim()) continue;
-
-            // Check if this is a line number indicator
-            const lineNumberMatch = line.match(/^([^-][^:]+):(\d+):(.*)/);
-
-            if (lineNumberMatch) {
-              // If we have a previous match, add it to the results
-              if (currentMatch) {
-                currentMatch.context_after = contextLines;
-                matches.push(currentMatch);
-                contextLines = [];
-              }
-
-              // Start a new match
-              currentMatch = {
-                file: fileName,
-                line_number: parseInt(lineNumberMatch[2]),
-                content: lineNumberMatch[3],
-                context_before: contextLines,
-                context_after: [],
-              };
-              contextLines = [];
-            } else {
-              // This is a context line
-              const contextMatch = line.match(/^([^:]+)-(\d+)-(.*)/);
-              if (contextMatch) {
-                contextLines.push({
-                  line_number: parseInt(contextMatch[2]),
-                  content: contextMatch[3],
-                });
-              }
-            }
-          }
-
-          // Add the last match if there is one
-          if (currentMatch) {
-            currentMatch.context_after = contextLines;
-            matches.push(currentMatch);
-          }
-
-          if (matches.length > 0) {
-            results.push({
-              file: fileName,
-              matches: matches,
-            });
-          }
-        }
+    const args = ["-I", "--null", "--no-color"];
+    args.push(mode === "count" ? "-c" : mode === "files" ? "-l" : "-n");
+    if (!case_sensitive) args.push("-i");
+    if (fixed_string) args.push("-F");
+    if (extended_regex) args.push("-E");
+    if (perl_regex) args.push("-P");
+    if (whole_word) args.push("-w");
+    args.push(...patternArgs, ...refOfCommit.keys(), "--", ...file_patterns);
+
+    // Stop git once the page and the record telling whether another page
+    // follows are read; the totals are known only if it ran to the end
+    const { records, complete } = await runGitGrep(repoPath, args, {
+      mode,
+      // Searching a ref of a partial clone fetches the blobs it lacks
+      env: cloneEnv(repoPath),
+      maxRecords: offset + max_results + 1,
+      maxOutput: MAX_SEARCH_OUTPUT,
+    });
+    if (refOfCommit.size > 0) {
+      // Paths of a commit are printed as "<commit>:<path>"
+      for (const record of records) {
+        const separator = record.file.indexOf(":");
+        record.commit = record.file.slice(0, separator);
+        record.ref = refOfCommit.get(record.commit);
+        record.file = record.file.slice(separator + 1);
       }
     }
 
+    const page = records.slice(offset, offset + max_results);
+    const hasMore = offset + page.length < records.length;
+    const results =
+      mode === "matches"
+        ? await matchesWithContext(repoPath, page, context_lines)
+        : page.map((record) => ({
+            ...(record.ref && { ref: record.ref }),
+            file: record.file,
+            ...(mode === "count" && { count: record.count }),
+          }));
+
     return {
       content: [
         {
@@ -220,12 +797,26 @@ export async function handleGitSearchCode({
               case_sensitive: case_sensitive,
               context_lines: context_lines,
               file_patterns: file_patterns,
+              ...(refs.length > 0 && { refs: resolved }),
+              mode: mode,
               results: results,
-              total_matches: results.reduce(
-                (sum, file) => sum + file.matches.length,
-                0
-              ),
-              total_files: results.length,
+              ...(complete &&
+                mode !== "files" && {
+                  total_matches:
+                    mode === "count"
+                      ? records.reduce((sum, record) => sum + record.count, 0)
+                      : records.length,
+                }),
+              ...(complete && {
+                total_files:
+                  mode === "matches"
+                    ? new Set(records.map(fileKey)).size
+                    : records.length,
+              }),
+              has_more: hasMore,
+              next_cursor: hasMore
+                ? encodeCursor(search, offset + page.length)
+                : null,
             },
             null,
             2
@@ -254,9 +845,10 @@ export async function handleGitSearchCode({
  * Handles the git_local_changes tool request
  * @param {Object} params - Tool parameters
  * @param {string} params.repo_path - Local repository path
+ * @param {string} params.format - Diff format (structured, patch, stat)
  * @returns {Object} - Tool response
  */
-export async function handleGitLocalChanges({ repo_path }) {
+export async function handleGitLocalChanges({ repo_path, format = "patch" }) {
   try {
     // Use the provided local repo path
     const git = simpleGit(repo_path);
@@ -266,8 +858,15 @@ export async function handleGitLocalChanges({ repo_path }) {
 
     // Get detailed diff for modified files
     let diffs = {};
-    for (const file of status.modified) {
-      diffs[file] = await git.diff([file]);
+    if (format === "patch") {
+      for (const file of status.modified) {
+        diffs[file] = await git.diff([file]);
+      }
+    } else if (status.modified.length > 0) {
+      const diff = await getDiff(git, ["--", ...status.modified], format);
+      for (const file of diff.files) {
+        diffs[file.new_path || file.path || file.old_path] = file;
+      }
     }
 
     return {
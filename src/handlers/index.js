@@ -8,6 +8,8 @@ import {
 import {
   handleGitCommitHistory,
   handleGitCommitsDetails,
+  handleGitSearchHistory,
+  handleGitFileHistory,
   handleGitCommit,
   handleGitTrack,
 } from "./commit-operations.js";
@@ -20,6 +22,7 @@ import {
 import {
   handleGitPush,
   handleGitPull,
+  handleGitFetch,
   handleGitRemote,
 } from "./remote-operations.js";
 import { handleGitStash } from "./stash-operations.js";
@@ -36,6 +39,10 @@ import {
   handleGitLFSFetch,
   handleGitRevert,
 } from "./other-operations.js";
+import { handleGitCheckpoints, handleGitUndo } from "./checkpoint-operations.js";
+import { handleGitAuditLog } from "./audit-operations.js";
+import { handleGitDiff } from "./diff-operations.js";
+import { handleGitCache } from "./cache-operations.js";
 
 // Re-export all handlers
 export {
@@ -48,6 +55,8 @@ export {
   // Commit operations
   handleGitCommitHistory,
   handleGitCommitsDetails,
+  handleGitSearchHistory,
+  handleGitFileHistory,
   handleGitCommit,
   handleGitTrack,
 
@@ -60,6 +69,7 @@ export {
   // Remote operations
   handleGitPush,
   handleGitPull,
+  handleGitFetch,
   handleGitRemote,
 
   // Stash operations
@@ -84,4 +94,17 @@ export {
   handleGitLFS,
   handleGitLFSFetch,
   handleGitRevert,
+
+  // Checkpoint operations
+  handleGitCheckpoints,
+  handleGitUndo,
+
+  // Audit operations
+  handleGitAuditLog,
+
+  // Diff operations
+  handleGitDiff,
+
+  // Cache operations
+  handleGitCache,
 };
@@ -1,4 +1,10 @@
-import { path, fs, simpleGit, execPromise } from "./common.js";
+import {
+  path,
+  fs,
+  simpleGit,
+  execPromise,
+  resolveWithinRoot,
+} from "./common.js";
 
 /**
  * Manages Git hooks in the repository
@@ -72,7 +78,8 @@ export async function handleGitHooks({
           };
         }
 
-        const hookPath = path.join(hooksDir, hook_name);
+        // Hook names must not point outside the hooks directory
+        const hookPath = await resolveWithinRoot(hooksDir, hook_name);
 
         // Check if hook exists
         if (!(await fs.pathExists(hookPath))) {
@@ -146,7 +153,7 @@ export async function handleGitHooks({
           };
         }
 
-        const createHookPath = path.join(hooksDir, hook_name);
+        const createHookPath = await resolveWithinRoot(hooksDir, hook_name);
 
         // Write hook content
         await fs.writeFile(createHookPath, script);
@@ -331,7 +338,8 @@ export async function handleGitClean({
     }
 
     // Get the files that would be removed
-    const preview = await git.clean([
+    const preview = await git.raw([
+      "clean",
       "--dry-run",
       ...(directories ? ["-d"] : []),
     ]);
@@ -342,7 +350,7 @@ export async function handleGitClean({
 
     if (!dry_run) {
       // Perform the actual clean
-      await git.clean(cleanOptions);
+      await git.raw(["clean", ...cleanOptions]);
     }
 
     return {
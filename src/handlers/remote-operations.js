@@ -1,4 +1,4 @@
-import { simpleGit } from "./common.js";
+import { simpleGit, execFilePromise } from "./common.js";
 
 /**
  * Pushes changes to a remote repository
@@ -132,14 +132,396 @@ export async function handleGitPull({
   }
 }
 
+/**
+ * Maps the flag character of a `git fetch` ref line to an update type
+ */
+const FETCH_FLAG_TYPES = {
+  " ": "fast-forward",
+  "+": "forced",
+  "*": "new",
+  "-": "deleted",
+  t: "tag-update",
+  "!": "rejected",
+  "=": "up-to-date",
+};
+
+/**
+ * Lists all refs of a repository with the object they point to
+ * @param {string} repoPath - Path to the local repository
+ * @returns {Promise<Map<string, string>>} - Map of full ref name to SHA
+ */
+async function snapshotRefs(repoPath) {
+  const { stdout } = await execFilePromise(
+    "git",
+    ["for-each-ref", "--format=%(objectname) %(refname)"],
+    { cwd: repoPath, maxBuffer: 64 * 1024 * 1024 }
+  );
+
+  const refs = new Map();
+  for (const line of stdout.split("\n")) {
+    const index = line.indexOf(" ");
+    if (index > 0) {
+      refs.set(line.substring(index + 1), line.substring(0, index));
+    }
+  }
+  return refs;
+}
+
+/**
+ * Resolves the abbreviated ref printed by `git fetch` (e.g. "origin/main")
+ * to a full ref name using a ref snapshot
+ * @param {string} shortRef - Abbreviated ref name
+ * @param {Map<string, string>[]} snapshots - Ref snapshots to search
+ * @returns {string} - Full ref name, or the input if it cannot be resolved
+ */
+function resolveFetchedRef(shortRef, snapshots) {
+  const candidates = [
+    shortRef,
+    `refs/${shortRef}`,
+    `refs/tags/${shortRef}`,
+    `refs/heads/${shortRef}`,
+    `refs/remotes/${shortRef}`,
+  ];
+  for (const candidate of candidates) {
+    if (snapshots.some((refs) => refs.has(candidate))) {
+      return candidate;
+    }
+  }
+  return shortRef;
+}
+
+/**
+ * Parses the ref update lines written by `git fetch --verbose`
+ * @param {string} output - Combined fetch output
+ * @returns {Object[]} - Parsed ref updates
+ */
+function parseFetchOutput(output) {
+  const updates = [];
+  let source = null;
+
+  for (const line of output.split("\n")) {
+    const fromMatch = line.match(/^From\s+(.+)$/);
+    if (fromMatch) {
+      source = fromMatch[1].trim();
+      continue;
+    }
+
+    // e.g. " + 1a2b3c4...5d6e7f8 main -> origin/main  (forced update)"
+    const match = line.match(
+      /^ ([ +*\-t!=]) (\[[^\]]+\]|\S+)\s+(\S+)\s+->\s+(\S+)(?:\s+\((.+)\))?\s*$/
+    );
+    if (!match) continue;
+
+    const [, flag, summary, from, to, reason] = match;
+    const range = summary.match(/^([0-9a-f]+)(\.\.\.?)([0-9a-f]+)$/);
+
+    updates.push({
+      source: source,
+      type: FETCH_FLAG_TYPES[flag],
+      remote_ref: from === "(none)" ? null : from,
+      local_ref: to,
+      summary: summary,
+      old_sha: range ? range[1] : null,
+      new_sha: range ? range[3] : null,
+      reason: reason || null,
+    });
+  }
+
+  return updates;
+}
+
+/**
+ * Fetches refs and objects from one or more remotes without touching the working tree
+ * @param {string} repoPath - Path to the local repository
+ * @param {string} remote - Remote name (default: origin)
+ * @param {boolean} all - Whether to fetch from all remotes
+ * @param {string[]} refspecs - Refspecs to fetch (default: the remote's configured refspecs)
+ * @param {boolean} prune - Whether to remove remote-tracking refs that no longer exist on the remote
+ * @param {boolean} tags - Whether to fetch all tags
+ * @param {number} depth - Limit fetching to this many commits from each tip
+ * @param {number} deepen - Deepen a shallow repository by this many commits
+ * @param {boolean} dryRun - Whether to only report what would be fetched
+ * @returns {Object} - Fetch result with the updated refs
+ */
+export async function handleGitFetch({
+  repo_path,
+  remote = "origin",
+  all = false,
+  refspecs = [],
+  prune = false,
+  tags = false,
+  depth = null,
+  deepen = null,
+  dry_run = false,
+}) {
+  try {
+    if (all && refspecs.length > 0) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              { error: "Refspecs cannot be combined with fetching all remotes" },
+              null,
+              2
+            ),
+          },
+        ],
+        isError: true,
+      };
+    }
+
+    // The remote and refspecs are passed to git as arguments; never let them
+    // act as options (e.g. --upload-pack, which runs a command)
+    const optionLike = [remote, ...refspecs].find(
+      (value) => typeof value === "string" && value.startsWith("-")
+    );
+    if (optionLike !== undefined) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              { error: `Invalid remote or refspec: ${optionLike}` },
+              null,
+              2
+            ),
+          },
+        ],
+        isError: true,
+      };
+    }
+
+    if (depth && deepen) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              { error: "Only one of depth or deepen can be specified" },
+              null,
+              2
+            ),
+          },
+        ],
+        isError: true,
+      };
+    }
+
+    // Build the fetch command
+    const fetchArgs = ["fetch", "--verbose", "--no-progress"];
+    if (prune) {
+      fetchArgs.push("--prune");
+    }
+    if (tags) {
+      fetchArgs.push("--tags");
+    }
+    if (depth) {
+      fetchArgs.push(`--depth=${depth}`);
+    }
+    if (deepen) {
+      fetchArgs.push(`--deepen=${deepen}`);
+    }
+    if (dry_run) {
+      fetchArgs.push("--dry-run");
+    }
+    if (all) {
+      fetchArgs.push("--all");
+    } else {
+      fetchArgs.push(remote, ...refspecs);
+    }
+
+    const before = await snapshotRefs(repo_path);
+
+    // git fetch reports ref updates on stderr; force untranslated output for parsing
+    const { stdout, stderr } = await execFilePromise("git", fetchArgs, {
+      cwd: repo_path,
+      env: { ...process.env, LC_ALL: "C" },
+      maxBuffer: 64 * 1024 * 1024,
+    });
+
+    const after = dry_run ? before : await snapshotRefs(repo_path);
+
+    // Replace abbreviated SHAs with full ones where the refs are known
+    const updates = parseFetchOutput(`${stdout}\n${stderr}`).map((update) => {
+      const ref = resolveFetchedRef(update.local_ref, [before, after]);
+      return {
+        ...update,
+        local_ref: ref,
+        old_sha: before.get(ref) || update.old_sha,
+        new_sha: dry_run
+          ? update.new_sha
+          : after.get(ref) || (update.type === "deleted" ? null : update.new_sha),
+      };
+    });
+
+    const changed = updates.filter(
+      (update) => !["up-to-date", "rejected"].includes(update.type)
+    );
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              success: true,
+              message: `${dry_run ? "Would fetch" : "Fetched"} from ${
+                all ? "all remotes" : remote
+              }: ${changed.length} ref(s) ${dry_run ? "would change" : "updated"}`,
+              remote: all ? null : remote,
+              all: all,
+              dry_run: dry_run,
+              updated_refs: changed,
+              rejected_refs: updates.filter((update) => update.type === "rejected"),
+              up_to_date_count: updates.filter(
+                (update) => update.type === "up-to-date"
+              ).length,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              error: `Failed to fetch changes: ${
+                (error.stderr || "").trim() || error.message
+              }`,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+      isError: true,
+    };
+  }
+}
+
+/**
+ * Parses the output of `git remote show <name>` into a structured object
+ * @param {string} name - Remote name
+ * @param {string} output - Raw `git remote show` output
+ * @returns {Object} - Parsed remote information
+ */
+export function parseRemoteShow(name, output) {
+  const remoteInfo = {
+    name: name,
+    fetch_url: "",
+    push_url: "",
+    head_branch: "",
+    remote_branches: [],
+    tracked_branches: [],
+    new_branches: [],
+    stale_branches: [],
+    local_branches: [],
+    push_refs: [],
+  };
+
+  // Track which section of the output the current line belongs to
+  let section = null;
+
+  for (const line of output.split("\n")) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+
+    if (trimmed.startsWith("Fetch URL:")) {
+      remoteInfo.fetch_url = trimmed.substring("Fetch URL:".length).trim();
+      section = null;
+    } else if (trimmed.startsWith("Push  URL:")) {
+      remoteInfo.push_url = trimmed.substring("Push  URL:".length).trim();
+      section = null;
+    } else if (trimmed.startsWith("HEAD branch:")) {
+      remoteInfo.head_branch = trimmed.substring("HEAD branch:".length).trim();
+      section = null;
+    } else if (/^Remote branch(es)?:/.test(trimmed)) {
+      section = "remote";
+      // A single branch is printed on the header line itself
+      const inline = trimmed.replace(/^Remote branch(es)?:/, "").trim();
+      if (inline) {
+        addRemoteBranch(remoteInfo, inline);
+      }
+    } else if (/^Local branch(es)? configured for 'git pull':/.test(trimmed)) {
+      section = "pull";
+    } else if (/^Local refs? configured for 'git push'/.test(trimmed)) {
+      section = "push";
+    } else if (section === "remote") {
+      addRemoteBranch(remoteInfo, trimmed);
+    } else if (section === "pull") {
+      const match = trimmed.match(
+        /^(\S+)\s+(merges with|rebases (?:interactively )?onto) remote\s+(\S+)$/
+      );
+      if (match) {
+        remoteInfo.local_branches.push({
+          local: match[1],
+          remote: match[3],
+          mode: match[2] === "merges with" ? "merge" : "rebase",
+        });
+      }
+    } else if (section === "push") {
+      const match = trimmed.match(
+        /^(\S+)\s+(forces to|pushes to)\s+(\S+)(?:\s+\((.+)\))?$/
+      );
+      if (match) {
+        remoteInfo.push_refs.push({
+          local: match[1],
+          remote: match[3],
+          forced: match[2] === "forces to",
+          status: match[4] || null,
+        });
+      }
+    }
+  }
+
+  return remoteInfo;
+}
+
+/**
+ * Adds a branch line from the "Remote branches" section of `git remote show`
+ * @param {Object} remoteInfo - Remote information being built
+ * @param {string} line - Trimmed branch line (e.g. "main tracked")
+ */
+function addRemoteBranch(remoteInfo, line) {
+  const match = line.match(/^(\S+)\s+(.+)$/);
+  if (!match) return;
+
+  const branch = match[1];
+  const state = match[2];
+
+  if (state.startsWith("tracked")) {
+    remoteInfo.tracked_branches.push(branch);
+    // Kept for compatibility with earlier responses
+    remoteInfo.remote_branches.push(branch);
+  } else if (state.startsWith("new")) {
+    remoteInfo.new_branches.push(branch);
+  } else if (state.startsWith("stale")) {
+    remoteInfo.stale_branches.push(
+      branch.replace(/^refs\/remotes\/[^/]+\//, "")
+    );
+  }
+}
+
 /**
  * Manages Git remotes
  * @param {string} repoPath - Path to the local repository
- * @param {string} action - Remote action (list, add, remove, set-url, prune, get-url, rename, show)
+ * @param {string} action - Remote action (list, add, remove, set-url, prune, get-url, rename, show, set-head, update, get-refspecs, set-refspecs, add-refspec, remove-refspec)
  * @param {string} name - Remote name
  * @param {string} url - Remote URL (for add and set-url)
  * @param {string} newName - New remote name (for rename)
  * @param {boolean} pushUrl - Whether to set push URL instead of fetch URL (for set-url)
+ * @param {string} branch - Branch to use as the remote HEAD (for set-head, auto-detected if omitted)
+ * @param {boolean} deleteHead - Whether to delete the remote HEAD (for set-head)
+ * @param {string[]} refspecs - Fetch refspecs (for set-refspecs, add-refspec, remove-refspec)
+ * @param {boolean} prune - Whether to prune stale branches while updating (for update)
+ * @param {boolean} dryRun - Whether to only report what would be pruned (for prune)
+ * @param {boolean} noQuery - Whether to skip contacting the remote (for show)
  * @returns {Object} - Operation result
  */
 export async function handleGitRemote({
@@ -149,6 +531,12 @@ export async function handleGitRemote({
   url = "",
   new_name = "",
   push_url = false,
+  branch = "",
+  delete_head = false,
+  refspecs = [],
+  prune = false,
+  dry_run = false,
+  no_query = false,
 }) {
   try {
     const git = simpleGit(repo_path);
@@ -480,8 +868,19 @@ export async function handleGitRemote({
           };
         }
 
-        // Prune the remote
-        await git.remote(["prune", name]);
+        // Prune the remote (or just report what would be pruned)
+        const pruneArgs = ["prune"];
+        if (dry_run) {
+          pruneArgs.push("--dry-run");
+        }
+        pruneArgs.push(name);
+
+        const pruneOutput = await git.remote(pruneArgs);
+        const prunedBranches = (pruneOutput || "")
+          .split("\n")
+          .map((line) => line.match(/\*\s+\[(?:would prune|pruned)\]\s+(\S+)/))
+          .filter(Boolean)
+          .map((match) => match[1]);
 
         return {
           content: [
@@ -490,8 +889,12 @@ export async function handleGitRemote({
               text: JSON.stringify(
                 {
                   success: true,
-                  message: `Pruned remote '${name}'`,
+                  message: dry_run
+                    ? `Would prune ${prunedBranches.length} branch(es) from remote '${name}'`
+                    : `Pruned remote '${name}'`,
                   name: name,
+                  pruned_branches: prunedBranches,
+                  dry_run: dry_run,
                 },
                 null,
                 2
@@ -517,55 +920,228 @@ export async function handleGitRemote({
           };
         }
 
-        // Show remote details
-        const showOutput = await git.raw(["remote", "show", name]);
-
-        // Parse the output to extract useful information
-        const remoteLines = showOutput.trim().split("\n");
-        const remoteInfo = {
-          name: name,
-          fetch_url: "",
-          push_url: "",
-          head_branch: "",
-          remote_branches: [],
-          local_branches: [],
+        // Show remote details (-n skips querying the remote itself)
+        const showArgs = ["remote", "show"];
+        if (no_query) {
+          showArgs.push("-n");
+        }
+        showArgs.push(name);
+
+        const showOutput = await git.raw(showArgs);
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  success: true,
+                  remote: parseRemoteShow(name, showOutput),
+                  raw_output: showOutput,
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+
+      case "set-head": {
+        if (!name) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(
+                  { error: "Remote name is required for set-head action" },
+                  null,
+                  2
+                ),
+              },
+            ],
+            isError: true,
+          };
+        }
+
+        // Explicit branch, delete, or let git query the remote for its HEAD
+        const setHeadArgs = ["set-head", name];
+        if (delete_head) {
+          setHeadArgs.push("--delete");
+        } else if (branch) {
+          setHeadArgs.push(branch);
+        } else {
+          setHeadArgs.push("--auto");
+        }
+
+        const setHeadOutput = await git.remote(setHeadArgs);
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  success: true,
+                  message: delete_head
+                    ? `Deleted HEAD of remote '${name}'`
+                    : `Set HEAD of remote '${name}'`,
+                  name: name,
+                  head_branch: delete_head ? null : branch || null,
+                  output: (setHeadOutput || "").trim(),
+                },
+                null,
+                2
+              ),
+            },
+          ],
         };
+      }
 
-        for (const line of remoteLines) {
-          const trimmed = line.trim();
-
-          if (trimmed.startsWith("Fetch URL:")) {
-            remoteInfo.fetch_url = trimmed
-              .substring("Fetch URL:".length)
-              .trim();
-          } else if (trimmed.startsWith("Push  URL:")) {
-            remoteInfo.push_url = trimmed.substring("Push  URL:".length).trim();
-          } else if (trimmed.startsWith("HEAD branch:")) {
-            remoteInfo.head_branch = trimmed
-              .substring("HEAD branch:".length)
-              .trim();
-          } else if (trimmed.startsWith("Remote branch")) {
-            // Skip the "Remote branches:" line
-          } else if (trimmed.startsWith("Local branch")) {
-            // Skip the "Local branches:" line
-          } else if (trimmed.includes("merges with remote")) {
-            const parts = trimmed.split("merges with remote");
-            if (parts.length === 2) {
-              const localBranch = parts[0].trim();
-              const remoteBranch = parts[1].trim();
-              remoteInfo.local_branches.push({
-                local: localBranch,
-                remote: remoteBranch,
-              });
-            }
-          } else if (trimmed.includes("tracked")) {
-            const branch = trimmed.split(" ")[0].trim();
-            if (branch) {
-              remoteInfo.remote_branches.push(branch);
-            }
+      case "update": {
+        // Fetch updates for one remote/group, or for all remotes
+        const updateArgs = ["remote", "update"];
+        if (prune) {
+          updateArgs.push("--prune");
+        }
+        if (name) {
+          updateArgs.push(name);
+        }
+
+        const updateOutput = await git.raw(updateArgs);
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  success: true,
+                  message: `Updated ${name ? `remote '${name}'` : "all remotes"}`,
+                  name: name || null,
+                  prune: prune,
+                  output: (updateOutput || "").trim(),
+                },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
+
+      case "get-refspecs":
+      case "set-refspecs":
+      case "add-refspec":
+      case "remove-refspec": {
+        if (!name) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(
+                  { error: `Remote name is required for ${action} action` },
+                  null,
+                  2
+                ),
+              },
+            ],
+            isError: true,
+          };
+        }
+
+        // Refuse to create config for a remote that does not exist
+        const knownRemotes = await git.getRemotes();
+        if (!knownRemotes.some((remote) => remote.name === name)) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(
+                  { error: `Remote '${name}' does not exist` },
+                  null,
+                  2
+                ),
+              },
+            ],
+            isError: true,
+          };
+        }
+
+        if (action !== "get-refspecs" && refspecs.length === 0) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(
+                  {
+                    error: `At least one refspec is required for ${action} action`,
+                  },
+                  null,
+                  2
+                ),
+              },
+            ],
+            isError: true,
+          };
+        }
+
+        const fetchKey = `remote.${name}.fetch`;
+
+        if (action === "set-refspecs") {
+          await git.raw(["config", "--unset-all", fetchKey]).catch(() => {});
+          for (const refspec of refspecs) {
+            await git.raw(["config", "--add", fetchKey, refspec]);
+          }
+        } else if (action === "add-refspec") {
+          for (const refspec of refspecs) {
+            await git.raw(["config", "--add", fetchKey, refspec]);
+          }
+        } else if (action === "remove-refspec") {
+          // Remove nothing unless every refspec is configured
+          const configured = (
+            await git.raw(["config", "--get-all", fetchKey])
+          )
+            .split("\n")
+            .map((line) => line.trim());
+          const notFound = refspecs.filter(
+            (refspec) => !configured.includes(refspec)
+          );
+          if (notFound.length > 0) {
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: JSON.stringify(
+                    {
+                      error: `Refspec(s) not configured for remote '${name}': ${notFound.join(", ")}`,
+                      not_found: notFound,
+                    },
+                    null,
+                    2
+                  ),
+                },
+              ],
+              isError: true,
+            };
+          }
+          for (const refspec of refspecs) {
+            await git.raw([
+              "config",
+              "--unset-all",
+              "--fixed-value",
+              fetchKey,
+              refspec,
+            ]);
           }
         }
 
+        // Report the refspecs as they are now configured
+        const refspecOutput = await git.raw(["config", "--get-all", fetchKey]);
+        const currentRefspecs = (refspecOutput || "")
+          .split("\n")
+          .map((line) => line.trim())
+          .filter(Boolean);
+
         return {
           content: [
             {
@@ -573,8 +1149,8 @@ export async function handleGitRemote({
               text: JSON.stringify(
                 {
                   success: true,
-                  remote: remoteInfo,
-                  raw_output: showOutput,
+                  name: name,
+                  refspecs: currentRefspecs,
                 },
                 null,
                 2
@@ -582,6 +1158,7 @@ export async function handleGitRemote({
             },
           ],
         };
+      }
 
       default:
         return {
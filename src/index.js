@@ -1,5 +1,11 @@
 #!/usr/bin/env node
 import { GitRepoBrowserServer } from "./server.js";
+import { loadConfig } from "./utils/config.js";
 
-const server = new GitRepoBrowserServer();
-server.run().catch(console.error);
+loadConfig()
+  .then((config) => new GitRepoBrowserServer(config).run())
+  .catch((error) => {
+    console.error(error);
+    // A bad config, flag or listen failure must not look like a clean exit
+    process.exitCode = 1;
+  });
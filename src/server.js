@@ -4,8 +4,15 @@ import {
   ErrorCode,
   ListToolsRequestSchema,
   McpError,
+  ResultSchema,
+  SetLevelRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import http from "http";
+import crypto from "crypto";
+import path from "path";
+import { simpleGit } from "simple-git";
 
 import {
   handleGitDirectoryStructure,
@@ -13,6 +20,8 @@ import {
   handleGitBranchDiff,
   handleGitCommitHistory,
   handleGitCommitsDetails,
+  handleGitSearchHistory,
+  handleGitFileHistory,
   handleGitLocalChanges,
   handleGitSearchCode,
   handleGitCommit,
@@ -22,6 +31,8 @@ import {
   handleGitMergeBranch,
   handleGitPush,
   handleGitPull,
+  handleGitFetch,
+  handleGitRemote,
   handleGitStash,
   handleGitCreateTag,
   handleGitRebase,
@@ -35,7 +46,64 @@ import {
   handleGitLFS,
   handleGitLFSFetch,
   handleGitRevert,
+  handleGitCheckpoints,
+  handleGitUndo,
+  handleGitAuditLog,
+  handleGitDiff,
+  handleGitCache,
 } from "./handlers/index.js";
+import { Sandbox, SandboxError, localRepoPath } from "./utils/sandbox.js";
+import {
+  DESTRUCTIVE_OPERATIONS,
+  getDestructiveOperation,
+  previewDestructiveOperation,
+} from "./utils/destructive.js";
+import {
+  createCheckpoint,
+  restoreCheckpoint,
+  shouldCheckpoint,
+} from "./utils/checkpoints.js";
+import {
+  hasReferences,
+  parseToolOutput,
+  resolveReferences,
+} from "./utils/batch.js";
+import { AuditLog, sanitizeArguments } from "./utils/audit.js";
+import { ValidationError, validateArguments } from "./utils/validation.js";
+import { DIFF_FORMATS } from "./utils/diff.js";
+import { TEXT_ENCODINGS } from "./utils/file-content.js";
+import { TREE_FORMATS } from "./utils/tree.js";
+import {
+  configureCredentials,
+  stripUrlCredentials,
+} from "./utils/credentials.js";
+import {
+  CLONE_STRATEGIES,
+  configureRefresh,
+  refreshSettings,
+} from "./utils/git.js";
+import {
+  cloneDirectory,
+  cloneFreshness,
+  configureCache,
+} from "./utils/clone-cache.js";
+import { LockTimeoutError, configureLocks, withRepoLock } from "./utils/locks.js";
+
+// Clone options of the tools that take a repo_url
+const CLONE_PROPERTIES = {
+  clone_strategy: {
+    type: "string",
+    description:
+      "How to clone repo_url: full (whole history), shallow (the newest clone_depth commits of each branch), blobless (all commits and trees, file contents fetched when needed) or treeless (commits only, trees and contents fetched when needed). Without it an existing clone is reused as it is and a new clone is full. Shallow clones are deepened when a later call needs older commits.",
+    enum: CLONE_STRATEGIES,
+  },
+  clone_depth: {
+    type: "integer",
+    description: "Number of commits to fetch with the shallow strategy",
+    minimum: 1,
+    default: 1,
+  },
+};
 
 /**
  * Main server class for the Git Repository Browser MCP server
@@ -43,9 +111,70 @@ import {
 export class GitRepoBrowserServer {
   /**
    * Initialize the server
+   * @param {Object} [config] - Server configuration (see utils/config.js)
+   */
+  constructor(config = {}) {
+    this.config = config;
+
+    // Filesystem policy applied to every path argument
+    this.sandbox = new Sandbox(config.allowedRoots || []);
+    if (this.sandbox.enabled) {
+      console.error(
+        `[INFO] Repository paths restricted to: ${this.sandbox.roots.join(", ")}`
+      );
+    }
+
+    // Tokens, SSH options and credential helper for repo_url clones
+    configureCredentials(config.credentials || {});
+
+    // Size and age limits of the clones kept for repo_url tools
+    configureCache({
+      maxSizeMb: config.cacheMaxSizeMb,
+      maxAgeHours: config.cacheMaxAgeHours,
+    });
+
+    // When cached clones are fetched again, or never (offline)
+    configureRefresh({
+      ttlSeconds: config.refreshTtlSeconds,
+      offline: config.offline,
+    });
+    if (config.offline) {
+      console.error("[INFO] Offline: repo_url tools only use cached clones");
+    }
+
+    // How long calls wait for another call's lock on the same repository
+    configureLocks({ timeoutSeconds: config.lockTimeoutSeconds });
+
+    // Append-only record of every tool invocation
+    this.auditLog = new AuditLog(config.auditLog || null);
+    if (this.auditLog.enabled) {
+      console.error(`[INFO] Auditing tool calls to ${this.auditLog.filePath}`);
+    }
+
+    // Active HTTP sessions, keyed by session ID
+    this.sessions = new Map();
+
+    // Session used by the stdio transport
+    this.defaultSession = {
+      id: crypto.randomUUID(),
+      transport: "stdio",
+      created_at: new Date().toISOString(),
+    };
+
+    this.server = this.createServer();
+    this.setupToolHandlers();
+
+    // Graceful shutdown
+    process.on("SIGINT", () => this.shutdown());
+    process.on("SIGTERM", () => this.shutdown());
+  }
+
+  /**
+   * Create an MCP server instance
+   * @returns {Server} New MCP server
    */
-  constructor() {
-    this.server = new Server(
+  createServer() {
+    const server = new Server(
       {
         name: "mcp-git-repo-browser",
         version: "0.1.0",
@@ -53,18 +182,15 @@ export class GitRepoBrowserServer {
       {
         capabilities: {
           tools: {},
+          // Lock waits are reported as log messages
+          logging: {},
         },
       }
     );
 
-    this.setupToolHandlers();
-
     // Error handling
-    this.server.onerror = (error) => console.error("[MCP Error]", error);
-    process.on("SIGINT", async () => {
-      await this.server.close();
-      process.exit(0);
-    });
+    server.onerror = (error) => console.error("[MCP Error]", error);
+    return server;
   }
 
   /**
@@ -84,6 +210,41 @@ export class GitRepoBrowserServer {
     return Boolean(this.handlersMap && this.handlersMap[name]);
   }
 
+  /**
+   * Get the input schema of a listed tool
+   * @param {string} name - Tool name
+   * @returns {Object|undefined} The tool's input schema
+   */
+  getToolSchema(name) {
+    const tool = (this.toolsList || []).find((item) => item.name === name);
+    return tool ? tool.inputSchema : undefined;
+  }
+
+  /**
+   * Determine the enabled tool categories from the configuration
+   * @returns {string[]} Enabled category names
+   */
+  resolveEnabledCategories() {
+    const known = Object.keys(this.handlerCategories);
+
+    if (this.config.readOnly) {
+      return ["read"];
+    }
+    if (!this.config.categories) {
+      return known;
+    }
+
+    const unknown = this.config.categories.filter(
+      (category) => !known.includes(category)
+    );
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown tool categories: ${unknown.join(", ")}. Available: ${known.join(", ")}`
+      );
+    }
+    return this.config.categories;
+  }
+
   /**
    * Set up tool handlers for the server
    */
@@ -94,7 +255,7 @@ export class GitRepoBrowserServer {
       {
         name: "git_directory_structure",
         description:
-          "Clone a Git repository and return its directory structure in a tree format.",
+          "Clone a Git repository and return its directory structure as a tree or JSON, from the working tree or at a branch, tag or commit.",
         inputSchema: {
           type: "object",
           properties: {
@@ -102,6 +263,57 @@ export class GitRepoBrowserServer {
               type: "string",
               description: "The URL of the Git repository",
             },
+            ...CLONE_PROPERTIES,
+            ref: {
+              type: "string",
+              description:
+                "Branch, tag or commit to list, from its tree objects (git ls-tree). Only committed files appear. Without it the working tree is listed.",
+            },
+            subpath: {
+              type: "string",
+              description: "Directory to use as the root of the tree",
+              default: "",
+            },
+            max_depth: {
+              type: "integer",
+              description:
+                "Deepest level listed (1: the entries of the root). Deeper directories show their file count.",
+              minimum: 1,
+            },
+            include: {
+              type: "array",
+              items: { type: "string" },
+              description:
+                "Globs of the files to list, relative to the root (e.g. 'src/**/*.ts'). A glob without a slash matches file names at any depth.",
+              default: [],
+            },
+            exclude: {
+              type: "array",
+              items: { type: "string" },
+              description:
+                "Globs of files and directories to leave out, relative to the root (e.g. 'node_modules', '*.lock')",
+              default: [],
+            },
+            respect_gitignore: {
+              type: "boolean",
+              description:
+                "Leave out files ignored by .gitignore. Without it every file on disk is listed. Ignored with ref.",
+              default: true,
+            },
+            format: {
+              type: "string",
+              description:
+                "text: ASCII tree. json: nested entries with file sizes and modes, per-directory file counts and sizes, and totals.",
+              enum: TREE_FORMATS,
+              default: "text",
+            },
+            max_entries: {
+              type: "integer",
+              description:
+                "Most entries listed; the rest are summarized",
+              minimum: 1,
+              default: 1000,
+            },
           },
           required: ["repo_url"],
         },
@@ -109,22 +321,79 @@ export class GitRepoBrowserServer {
       {
         name: "git_read_files",
         description:
-          "Read the contents of specified files in a given git repository.",
+          "Read the contents of specified files in a local git repository or a repository URL, from the working tree or at a branch, tag or commit. Contents share a byte budget; binary files are returned as metadata or base64.",
         inputSchema: {
           type: "object",
           properties: {
+            repo_path: {
+              type: "string",
+              description: "The path to the local Git repository",
+            },
             repo_url: {
               type: "string",
-              description: "The URL of the Git repository",
+              description:
+                "The URL of the Git repository (used when repo_path is not given)",
             },
+            ...CLONE_PROPERTIES,
             file_paths: {
               type: "array",
-              items: { type: "string" },
+              items: {
+                type: ["string", "object"],
+                properties: {
+                  path: {
+                    type: "string",
+                    description: "File path or glob",
+                  },
+                  start_line: {
+                    type: "integer",
+                    description: "First line to return (1-based)",
+                    minimum: 1,
+                  },
+                  end_line: {
+                    type: "integer",
+                    description: "Last line to return (inclusive)",
+                    minimum: 1,
+                  },
+                },
+                required: ["path"],
+              },
+              description:
+                "Files to read (relative to repository root): paths, globs such as 'src/**/*.js' (a glob without a slash matches file names at any depth), or { path, start_line, end_line } objects to read a range of lines",
+            },
+            max_bytes: {
+              type: "integer",
+              description:
+                "Byte budget of all returned contents. Files are returned in order until it is used up; the file that exceeds it is cut with a truncation marker and later files are marked truncated.",
+              minimum: 1,
+              default: 262144,
+            },
+            binary: {
+              type: "string",
               description:
-                "List of file paths to read (relative to repository root)",
+                "How to return binary files (NUL bytes, or binary in .gitattributes): metadata only (size, blob) or base64 content",
+              enum: ["metadata", "base64"],
+              default: "metadata",
+            },
+            encoding: {
+              type: "string",
+              description:
+                "Text encoding of the files. auto detects UTF-8 and UTF-16 (by byte order mark), falling back to latin1 for invalid UTF-8.",
+              enum: TEXT_ENCODINGS,
+              default: "auto",
+            },
+            ref: {
+              type: "string",
+              description:
+                "Branch, tag or commit to read the files at, without a checkout. Each file is returned with its blob SHA and size. Without it the working tree is read.",
+            },
+            sparse: {
+              type: "boolean",
+              description:
+                "Check out only the directories of file_paths (and the root files) when the repository is cloned. Other directories are added when later calls read them. Ignored with ref.",
+              default: false,
             },
           },
-          required: ["repo_url", "file_paths"],
+          required: ["file_paths"],
         },
       },
 
@@ -140,6 +409,7 @@ export class GitRepoBrowserServer {
               type: "string",
               description: "The URL of the Git repository",
             },
+            ...CLONE_PROPERTIES,
             source_branch: {
               type: "string",
               description: "The source branch name",
@@ -153,10 +423,118 @@ export class GitRepoBrowserServer {
               description: "Whether to include the actual diff patches",
               default: false,
             },
+            format: {
+              type: "string",
+              description:
+                "Diff format: structured (files, hunks and numbered lines as JSON), patch (unified diff text) or stat (changed lines per file). Without it the name-status summary (plus patches with show_patch) is returned as diff_summary.",
+              enum: DIFF_FORMATS,
+            },
           },
           required: ["repo_url", "source_branch", "target_branch"],
         },
       },
+      {
+        name: "git_diff",
+        description:
+          "Compare two revisions, a revision and the working tree, the index and HEAD (staged), or the working tree and the index, in a local repository or a repository URL.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            repo_path: {
+              type: "string",
+              description: "The path to the local Git repository",
+            },
+            repo_url: {
+              type: "string",
+              description:
+                "The URL of the Git repository (used when repo_path is not given)",
+            },
+            ...CLONE_PROPERTIES,
+            from: {
+              type: "string",
+              description:
+                "Base revision (branch, tag, commit, e.g. 'HEAD~3'). Without 'to' it is compared with the working tree, or with the index when staged is set. Without both, the working tree is compared with the index.",
+            },
+            to: {
+              type: "string",
+              description: "Revision to compare 'from' with",
+            },
+            staged: {
+              type: "boolean",
+              description:
+                "Compare the index (staged changes) with 'from', or with HEAD when 'from' is not given",
+              default: false,
+            },
+            mode: {
+              type: "string",
+              description:
+                "two-dot compares 'from' and 'to' directly; three-dot compares 'to' with the merge base of both (changes made on 'to' only)",
+              default: "two-dot",
+              enum: ["two-dot", "three-dot"],
+            },
+            paths: {
+              type: "array",
+              items: { type: "string" },
+              description: "Limit the diff to these paths or pathspecs",
+              default: [],
+            },
+            find_renames: {
+              type: "boolean",
+              description: "Whether to detect renamed files",
+              default: true,
+            },
+            rename_threshold: {
+              type: "integer",
+              description:
+                "Minimum similarity in percent for a rename (git default: 50)",
+              minimum: 0,
+              maximum: 100,
+            },
+            find_copies: {
+              type: "boolean",
+              description: "Whether to detect copied files",
+              default: false,
+            },
+            copy_threshold: {
+              type: "integer",
+              description:
+                "Minimum similarity in percent for a copy (git default: 50)",
+              minimum: 0,
+              maximum: 100,
+            },
+            ignore_whitespace: {
+              type: "string",
+              description:
+                "Whitespace changes to ignore: none, all whitespace, changes in amount of whitespace, whitespace at end of line, or carriage returns at end of line",
+              default: "none",
+              enum: ["none", "all", "change", "eol", "cr-at-eol"],
+            },
+            ignore_blank_lines: {
+              type: "boolean",
+              description: "Whether to ignore added or removed blank lines",
+              default: false,
+            },
+            context_lines: {
+              type: "integer",
+              description: "Lines of context around each change (git default: 3)",
+              minimum: 0,
+            },
+            word_diff: {
+              type: "boolean",
+              description:
+                "Show changed words ([-removed-]{+added+}) instead of lines; needs format patch",
+              default: false,
+            },
+            format: {
+              type: "string",
+              description:
+                "Output format: structured (files, hunks and numbered lines as JSON), patch (unified diff text) or stat (changed lines per file with totals, like --numstat)",
+              default: "structured",
+              enum: DIFF_FORMATS,
+            },
+          },
+        },
+      },
       {
         name: "git_checkout_branch",
         description: "Create and/or checkout a branch.",
@@ -248,6 +626,7 @@ export class GitRepoBrowserServer {
               type: "string",
               description: "The URL of the Git repository",
             },
+            ...CLONE_PROPERTIES,
             branch: {
               type: "string",
               description: "The branch to get history from",
@@ -258,6 +637,18 @@ export class GitRepoBrowserServer {
               description: "Maximum number of commits to retrieve",
               default: 10,
             },
+            skip: {
+              type: "integer",
+              description:
+                "Number of commits to skip before the first one returned (ignored with a cursor, which already starts past them)",
+              default: 0,
+              minimum: 0,
+            },
+            cursor: {
+              type: "string",
+              description:
+                "next_cursor of the previous page, to get the next one with the same filters",
+            },
             author: {
               type: "string",
               description: "Filter by author (optional)",
@@ -291,6 +682,7 @@ export class GitRepoBrowserServer {
               type: "string",
               description: "The URL of the Git repository",
             },
+            ...CLONE_PROPERTIES,
             branch: {
               type: "string",
               description: "The branch to get commits from",
@@ -301,11 +693,30 @@ export class GitRepoBrowserServer {
               description: "Maximum number of commits to retrieve",
               default: 10,
             },
+            skip: {
+              type: "integer",
+              description:
+                "Number of commits to skip before the first one returned (ignored with a cursor, which already starts past them)",
+              default: 0,
+              minimum: 0,
+            },
+            cursor: {
+              type: "string",
+              description:
+                "next_cursor of the previous page, to get the next one with the same filters",
+            },
             include_diff: {
               type: "boolean",
               description: "Whether to include the commit diffs",
               default: false,
             },
+            format: {
+              type: "string",
+              description:
+                "Format of the included diffs: structured (files, hunks and numbered lines as JSON), patch (unified diff text) or stat (changed lines per file)",
+              default: "patch",
+              enum: DIFF_FORMATS,
+            },
             since: {
               type: "string",
               description:
@@ -328,6 +739,110 @@ export class GitRepoBrowserServer {
           required: ["repo_url"],
         },
       },
+      {
+        name: "git_search_history",
+        description:
+          "Find the commits that added or removed a string (git log -S) or changed lines matching a regular expression (git log -G), with the hunks where it changed.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            repo_url: {
+              type: "string",
+              description: "The URL of the Git repository",
+            },
+            ...CLONE_PROPERTIES,
+            pattern: {
+              type: "string",
+              description:
+                "String whose number of occurrences changed, or with regex a regular expression matching added or removed lines",
+            },
+            regex: {
+              type: "boolean",
+              description:
+                "Search added or removed lines matching pattern as a regular expression (-G) instead of changes in the number of occurrences of the string (-S)",
+              default: false,
+            },
+            revision_range: {
+              type: "string",
+              description:
+                'Revision or range to search (e.g., "main", "v1.0..v2.0")',
+              default: "HEAD",
+            },
+            paths: {
+              type: "array",
+              items: { type: "string" },
+              description: "Limit the search to these paths (optional)",
+            },
+            since: {
+              type: "string",
+              description:
+                'Search commits after this date (e.g., "1 week ago", "2023-01-01")',
+            },
+            until: {
+              type: "string",
+              description:
+                'Search commits before this date (e.g., "yesterday", "2023-12-31")',
+            },
+            author: {
+              type: "string",
+              description: "Filter by author (optional)",
+            },
+            max_count: {
+              type: "integer",
+              description: "Maximum number of commits to return",
+              default: 10,
+              minimum: 1,
+            },
+          },
+          required: ["repo_url", "pattern"],
+        },
+      },
+      {
+        name: "git_file_history",
+        description:
+          "Get the commits that changed a file, following it across renames, with the file's path and changed lines at each commit and optionally its patch.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            repo_path: {
+              type: "string",
+              description: "The path to the local Git repository",
+            },
+            repo_url: {
+              type: "string",
+              description:
+                "The URL of the Git repository (used when repo_path is not given)",
+            },
+            ...CLONE_PROPERTIES,
+            file_path: {
+              type: "string",
+              description: "Path of the file at ref",
+            },
+            ref: {
+              type: "string",
+              description: "Branch, tag or commit to start from",
+              default: "HEAD",
+            },
+            max_count: {
+              type: "integer",
+              description: "Maximum number of commits to retrieve",
+              default: 10,
+              minimum: 1,
+            },
+            follow: {
+              type: "boolean",
+              description: "Follow the file across renames (git log --follow)",
+              default: true,
+            },
+            include_patch: {
+              type: "boolean",
+              description: "Include each commit's patch, limited to the file",
+              default: false,
+            },
+          },
+          required: ["file_path"],
+        },
+      },
       {
         name: "git_commit",
         description: "Create a commit with the specified message.",
@@ -377,23 +892,38 @@ export class GitRepoBrowserServer {
               type: "string",
               description: "The path to the local Git repository",
             },
+            format: {
+              type: "string",
+              description:
+                "Format of the per-file diffs: structured (hunks and numbered lines as JSON), patch (unified diff text) or stat (changed lines)",
+              default: "patch",
+              enum: DIFF_FORMATS,
+            },
           },
           required: ["repo_path"],
         },
       },
       {
         name: "git_search_code",
-        description: "Search for patterns in repository code.",
+        description:
+          "Search for patterns in repository code, in the working tree or at one or more refs. Patterns can be combined per line with and/or/not; results are paged with max_results and cursor, and the totals are returned on the last page.",
         inputSchema: {
           type: "object",
           properties: {
+            repo_path: {
+              type: "string",
+              description: "The path to the local Git repository",
+            },
             repo_url: {
               type: "string",
-              description: "The URL of the Git repository",
+              description:
+                "The URL of the Git repository (used when repo_path is not given)",
             },
+            ...CLONE_PROPERTIES,
             pattern: {
-              type: "string",
-              description: "Search pattern (regex or string)",
+              type: ["string", "object"],
+              description:
+                'Search pattern (regex or string), or an object combining patterns on the same line: {"and": [...]}, {"or": [...]} or {"not": pattern}, e.g. {"and": ["TODO", {"not": "FIXME"}]}',
             },
             file_patterns: {
               type: "array",
@@ -409,9 +939,54 @@ export class GitRepoBrowserServer {
               type: "integer",
               description: "Number of context lines to include",
               default: 2,
+              minimum: 0,
+            },
+            fixed_string: {
+              type: "boolean",
+              description: "Match patterns as literal strings",
+              default: false,
+            },
+            extended_regex: {
+              type: "boolean",
+              description: "Patterns are POSIX extended regular expressions",
+              default: false,
+            },
+            perl_regex: {
+              type: "boolean",
+              description: "Patterns are Perl-compatible regular expressions",
+              default: false,
+            },
+            whole_word: {
+              type: "boolean",
+              description: "Match whole words only",
+              default: false,
+            },
+            ref: {
+              type: ["string", "array"],
+              items: { type: "string" },
+              description:
+                "Branch, tag or commit to search instead of the working tree, or a list of them; results name the ref they were found at",
+            },
+            mode: {
+              type: "string",
+              enum: ["matches", "count", "files"],
+              description:
+                "matches (lines with context), count (matching lines per file) or files (names of matching files)",
+              default: "matches",
+            },
+            max_results: {
+              type: "integer",
+              description:
+                "Most results per page: matching lines, or files in count and files mode",
+              default: 100,
+              minimum: 1,
+            },
+            cursor: {
+              type: "string",
+              description: "next_cursor of the previous page, to get the next one",
             },
           },
-          required: ["repo_url", "pattern"],
+          required: ["pattern"],
         },
       },
 
@@ -472,6 +1047,151 @@ export class GitRepoBrowserServer {
           required: ["repo_path"],
         },
       },
+      {
+        name: "git_fetch",
+        description:
+          "Fetch refs and objects from remotes without merging, and report which refs changed.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            repo_path: {
+              type: "string",
+              description: "The path to the local Git repository",
+            },
+            remote: {
+              type: "string",
+              description: "Remote name",
+              default: "origin",
+            },
+            all: {
+              type: "boolean",
+              description: "Whether to fetch from all remotes",
+              default: false,
+            },
+            refspecs: {
+              type: "array",
+              items: { type: "string" },
+              description:
+                "Refspecs to fetch (default: the remote's configured refspecs)",
+            },
+            prune: {
+              type: "boolean",
+              description:
+                "Whether to remove remote-tracking refs that no longer exist on the remote",
+              default: false,
+            },
+            tags: {
+              type: "boolean",
+              description: "Whether to fetch all tags",
+              default: false,
+            },
+            depth: {
+              type: "integer",
+              description: "Limit fetching to this many commits from each tip",
+            },
+            deepen: {
+              type: "integer",
+              description: "Deepen a shallow repository by this many commits",
+            },
+            dry_run: {
+              type: "boolean",
+              description: "Whether to only report what would be fetched",
+              default: false,
+            },
+          },
+          required: ["repo_path"],
+        },
+      },
+      {
+        name: "git_remote",
+        description:
+          "Manage remotes: list, add, remove, rename, URLs, HEAD, fetch refspecs, update, prune and show.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            repo_path: {
+              type: "string",
+              description: "The path to the local Git repository",
+            },
+            action: {
+              type: "string",
+              description:
+                "Remote action (list, add, remove, set-url, get-url, rename, prune, show, set-head, update, get-refspecs, set-refspecs, add-refspec, remove-refspec)",
+              default: "list",
+              enum: [
+                "list",
+                "add",
+                "remove",
+                "set-url",
+                "get-url",
+                "rename",
+                "prune",
+                "show",
+                "set-head",
+                "update",
+                "get-refspecs",
+                "set-refspecs",
+                "add-refspec",
+                "remove-refspec",
+              ],
+            },
+            name: {
+              type: "string",
+              description:
+                "Remote name (required for every action except list and update)",
+            },
+            url: {
+              type: "string",
+              description: "Remote URL (for add and set-url actions)",
+            },
+            new_name: {
+              type: "string",
+              description: "New remote name (for rename action)",
+            },
+            push_url: {
+              type: "boolean",
+              description:
+                "Whether to use the push URL instead of the fetch URL (for set-url and get-url actions)",
+              default: false,
+            },
+            branch: {
+              type: "string",
+              description:
+                "Branch to use as the remote HEAD (for set-head action, auto-detected from the remote if omitted)",
+            },
+            delete_head: {
+              type: "boolean",
+              description: "Whether to delete the remote HEAD (for set-head action)",
+              default: false,
+            },
+            refspecs: {
+              type: "array",
+              items: { type: "string" },
+              description:
+                'Fetch refspecs, e.g. "+refs/heads/*:refs/remotes/origin/*" (for set-refspecs, add-refspec and remove-refspec actions)',
+            },
+            prune: {
+              type: "boolean",
+              description:
+                "Whether to prune stale remote-tracking branches (for update action)",
+              default: false,
+            },
+            dry_run: {
+              type: "boolean",
+              description:
+                "Whether to only report what would be pruned (for prune action)",
+              default: false,
+            },
+            no_query: {
+              type: "boolean",
+              description:
+                "Whether to skip contacting the remote and use cached information (for show action)",
+              default: false,
+            },
+          },
+          required: ["repo_path", "action"],
+        },
+      },
 
       // Stash Operations
       {
@@ -846,49 +1566,264 @@ export class GitRepoBrowserServer {
           required: ["repo_path"],
         },
       },
+
+      // Checkpoint Operations
+      {
+        name: "git_checkpoints",
+        description:
+          "List, show or diff the safety checkpoints recorded before mutating operations (commit, reset, rebase, merge, revert, stash, clean, ...).",
+        inputSchema: {
+          type: "object",
+          properties: {
+            repo_path: {
+              type: "string",
+              description: "The path to the local Git repository",
+            },
+            action: {
+              type: "string",
+              description:
+                "Checkpoint action (list, show, diff against the current working tree)",
+              default: "list",
+              enum: ["list", "show", "diff"],
+            },
+            checkpoint_id: {
+              type: "string",
+              description:
+                "Checkpoint to show or diff (default: the most recent one)",
+            },
+            max_count: {
+              type: "integer",
+              description: "Maximum number of checkpoints to list",
+              default: 20,
+            },
+          },
+          required: ["repo_path"],
+        },
+      },
+      {
+        name: "git_undo",
+        description:
+          "Restore HEAD, branches, tags, stashes, the index and the working tree to a checkpoint. The current state is checkpointed first, so an undo can be undone.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            repo_path: {
+              type: "string",
+              description: "The path to the local Git repository",
+            },
+            checkpoint_id: {
+              type: "string",
+              description:
+                "Checkpoint to restore (default: the most recent one)",
+            },
+          },
+          required: ["repo_path"],
+        },
+      },
+
+      // Audit Operations
+      {
+        name: "git_audit_log",
+        description:
+          "Query the server's audit log of tool invocations (time, tool, sanitized arguments, repository, HEAD before and after for repo_path calls, duration, outcome, session). Only the calling session's invocations are returned unless the server allows querying every session.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            since: {
+              type: "string",
+              description: "Earliest invocation time (ISO 8601, inclusive)",
+            },
+            until: {
+              type: "string",
+              description: "Latest invocation time (ISO 8601, inclusive)",
+            },
+            repo: {
+              type: "string",
+              description: "Only invocations on this repository path or URL",
+            },
+            tool: {
+              type: "string",
+              description: "Only invocations of this tool (e.g., 'git_push')",
+            },
+            session_id: {
+              type: "string",
+              description:
+                "Only invocations from this session (another session than the caller's needs the server to allow querying every session)",
+            },
+            status: {
+              type: "string",
+              description: "Only invocations with this outcome",
+              enum: ["success", "error", "blocked"],
+            },
+            limit: {
+              type: "integer",
+              description:
+                "Maximum number of entries to return (the most recent matches)",
+              minimum: 1,
+              default: 100,
+            },
+          },
+        },
+      },
+
+      // Batch Operations
+      {
+        name: "git_batch",
+        description:
+          "Run several Git tool calls in order and report each step's result. A step's arguments can use an earlier step's output with {{<step id>.<path>}}, e.g. {{commit.commit_hash}}. Optionally roll every touched repository back to a checkpoint taken before the batch if any step fails.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            operations: {
+              type: "array",
+              description: "Steps to run in order",
+              items: {
+                type: "object",
+                properties: {
+                  id: {
+                    type: "string",
+                    description:
+                      "Name other steps use to reference this step's output (default: its zero-based position)",
+                  },
+                  name: {
+                    type: "string",
+                    description: "Tool to call (e.g., 'git_commit')",
+                  },
+                  arguments: {
+                    type: "object",
+                    description: "Arguments of the tool call",
+                  },
+                },
+                required: ["name"],
+              },
+            },
+            mode: {
+              type: "string",
+              description:
+                "Whether to skip the remaining steps after a failure (stop_on_error) or run them anyway (continue)",
+              default: "stop_on_error",
+              enum: ["stop_on_error", "continue"],
+            },
+            rollback: {
+              type: "boolean",
+              description:
+                "Restore every repository the batch touches to its state before the batch if any step fails",
+              default: false,
+            },
+          },
+          required: ["operations"],
+        },
+      },
+
+      // Cache Operations
+      {
+        name: "git_cache",
+        description:
+          "Manage the clones kept for repo_url tools: list them (URL, size on disk, last access and fetch), show cache statistics and limits, refresh (fetch) clones, evict one clone or clear the cache.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            action: {
+              type: "string",
+              description:
+                "list, stats, refresh (one repo_url, or every cached clone without it), evict (repo_url) or clear",
+              default: "list",
+              enum: ["list", "stats", "refresh", "evict", "clear"],
+            },
+            repo_url: {
+              type: "string",
+              description: "The URL of the cached repository",
+            },
+          },
+        },
+      },
     ];
 
-    // Set up dynamic tool listing handler
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
-      tools: this.toolsList,
-    }));
+    // Destructive tools accept the token of a two-step confirmation
+    Object.keys(DESTRUCTIVE_OPERATIONS).forEach((name) => {
+      this.getToolSchema(name).properties.confirm_token = {
+        type: "string",
+        description:
+          "Token returned by a previous call that required confirmation; pass it with the same arguments to proceed",
+      };
+    });
 
-    // Handler categories for organization and improved discoverability
+    // Handler categories for organization and improved discoverability.
+    // Every tool belongs to at least one category; the enabled categories
+    // decide which tools are listed and dispatched.
     this.handlerCategories = {
       read: [
         "git_directory_structure",
         "git_read_files",
         "git_branch_diff",
+        "git_diff",
         "git_commit_history",
         "git_commits_details",
+        "git_search_history",
+        "git_file_history",
         "git_local_changes",
         "git_search_code",
+        "git_blame",
+        "git_audit_log",
+        // Steps are checked against the enabled categories one by one
+        "git_batch",
+      ],
+      write: [
+        "git_commit",
+        "git_track",
+        "git_reset",
+        "git_revert",
+        "git_clean",
+        "git_checkpoints",
+        "git_undo",
       ],
-      write: ["git_commit", "git_track", "git_reset"],
       branch: [
         "git_checkout_branch",
         "git_delete_branch",
         "git_merge_branch",
         "git_branch_diff",
       ],
-      remote: ["git_push", "git_pull"],
+      remote: ["git_push", "git_pull", "git_fetch", "git_remote", "git_cache"],
       stash: ["git_stash"],
-      config: ["git_config"],
+      config: ["git_config", "git_attributes", "git_hooks"],
       tag: ["git_create_tag"],
-      advanced: ["git_rebase"],
+      advanced: [
+        "git_rebase",
+        "git_archive",
+        "git_lfs",
+        "git_lfs_fetch",
+        "git_batch",
+      ],
+    };
+
+    // Tools outside the read category that only read when called with these
+    // argument values. With "read" enabled they stay available, limited to
+    // these values.
+    this.readOnlyArguments = {
+      git_stash: { action: ["list"] },
+      git_remote: { action: ["list", "get-url", "show", "get-refspecs"] },
+      git_fetch: { dry_run: [true] },
+      git_clean: { dry_run: [true] },
+      git_attributes: { action: ["list", "get"] },
+      git_hooks: { action: ["list", "get"] },
+      git_lfs: { action: ["list"] },
+      git_cache: { action: ["list", "stats"] },
+      // show and diff write the working tree to the object database
+      git_checkpoints: { action: ["list"] },
     };
 
+    // Categories enabled by the server configuration (all by default)
+    this.enabledCategories = this.resolveEnabledCategories();
+
     // Create handler aliases for improved usability
     this.handlerAliases = {
       git_ls: "git_directory_structure",
       git_show: "git_read_files",
-      git_diff: "git_branch_diff",
       git_log: "git_commit_history",
       git_status: "git_local_changes",
       git_grep: "git_search_code",
       git_add: "git_track",
       git_checkout: "git_checkout_branch",
-      git_fetch: "git_pull",
     };
 
     // Initialize statistics tracking
@@ -900,8 +1835,11 @@ export class GitRepoBrowserServer {
       git_directory_structure: handleGitDirectoryStructure,
       git_read_files: handleGitReadFiles,
       git_branch_diff: handleGitBranchDiff,
+      git_diff: handleGitDiff,
       git_commit_history: handleGitCommitHistory,
       git_commits_details: handleGitCommitsDetails,
+      git_search_history: handleGitSearchHistory,
+      git_file_history: handleGitFileHistory,
       git_local_changes: handleGitLocalChanges,
       git_search_code: handleGitSearchCode,
       git_commit: handleGitCommit,
@@ -911,6 +1849,8 @@ export class GitRepoBrowserServer {
       git_merge_branch: handleGitMergeBranch,
       git_push: handleGitPush,
       git_pull: handleGitPull,
+      git_fetch: handleGitFetch,
+      git_remote: handleGitRemote,
       git_stash: handleGitStash,
       git_create_tag: handleGitCreateTag,
       git_rebase: handleGitRebase,
@@ -924,6 +1864,20 @@ export class GitRepoBrowserServer {
       git_lfs: handleGitLFS,
       git_lfs_fetch: handleGitLFSFetch,
       git_revert: handleGitRevert,
+      git_checkpoints: handleGitCheckpoints,
+      git_undo: (args, { session }) =>
+        handleGitUndo(args, {
+          sessionId: session.id,
+          maxCheckpoints: this.config.maxCheckpoints || 50,
+        }),
+      git_audit_log: (args, { session }) =>
+        handleGitAuditLog(args, this.auditLog, {
+          sessionId: session.id,
+          allSessions: Boolean(this.config.auditLogAllSessions),
+        }),
+      git_batch: (args, { session, server }) =>
+        this.executeSequence(args, session, server),
+      git_cache: handleGitCache,
     };
 
     // Register aliases for O(1) lookup
@@ -945,18 +1899,674 @@ export class GitRepoBrowserServer {
       return this.handlerCategories[category] || [];
     };
 
-    // Add method to execute multiple Git operations in sequence
-    this.executeSequence = async (operations) => {
-      const results = [];
-      for (const op of operations) {
-        const { name, arguments: args } = op;
-        const handler = this.handlersMap[name];
-        if (!handler) {
-          throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+    /**
+     * Check whether a tool is fully available under the enabled categories
+     * @param {string} name - Tool name (aliases already resolved)
+     * @returns {boolean} True if any enabled category contains the tool
+     */
+    this.hasFullAccess = (name) => {
+      return this.enabledCategories.some((category) =>
+        this.getHandlersByCategory(category).includes(name)
+      );
+    };
+
+    /**
+     * Get the argument values a tool is limited to under the enabled categories
+     * @param {string} name - Tool name (aliases already resolved)
+     * @returns {Object|null} Allowed values per argument, or null if unrestricted or disabled
+     */
+    this.getArgumentRestrictions = (name) => {
+      if (this.hasFullAccess(name) || !this.enabledCategories.includes("read")) {
+        return null;
+      }
+      return this.readOnlyArguments[name] || null;
+    };
+
+    /**
+     * Check whether a tool is listed and dispatched at all
+     * @param {string} name - Tool name (aliases already resolved)
+     * @returns {boolean} True if the tool is enabled
+     */
+    this.isToolEnabled = (name) => {
+      return this.hasFullAccess(name) || Boolean(this.getArgumentRestrictions(name));
+    };
+
+    /**
+     * Check whether a tool call is allowed by the enabled categories
+     * @param {string} name - Tool name (aliases already resolved)
+     * @param {Object} args - Tool arguments
+     * @returns {string|null} Reason the call is denied, or null if allowed
+     */
+    this.checkCategoryPolicy = (name, args = {}) => {
+      if (this.hasFullAccess(name)) {
+        return null;
+      }
+
+      const enabled = this.enabledCategories.join(", ");
+      const restrictions = this.getArgumentRestrictions(name);
+      if (!restrictions) {
+        return `${name} is disabled (enabled categories: ${enabled})`;
+      }
+
+      const schema = this.getToolSchema(name);
+      for (const [key, allowed] of Object.entries(restrictions)) {
+        // Unset arguments fall back to the schema default
+        const value =
+          args[key] !== undefined ? args[key] : schema?.properties?.[key]?.default;
+        if (!allowed.includes(value)) {
+          return `${name} with ${key}=${JSON.stringify(value)} is disabled (enabled categories: ${enabled}); allowed values: ${allowed
+            .map((item) => JSON.stringify(item))
+            .join(", ")}`;
+        }
+      }
+      return null;
+    };
+
+    /**
+     * Get the tools visible under the enabled categories. Tools limited to
+     * read-only arguments advertise only the allowed values.
+     * @returns {Object[]} Tool definitions
+     */
+    this.getVisibleTools = () => {
+      return this.toolsList
+        .filter((tool) => this.isToolEnabled(tool.name))
+        .map((tool) => {
+          const restrictions = this.getArgumentRestrictions(tool.name);
+          if (!restrictions) {
+            return tool;
+          }
+
+          const properties = { ...tool.inputSchema.properties };
+          const required = [...(tool.inputSchema.required || [])];
+          for (const [key, allowed] of Object.entries(restrictions)) {
+            const { default: defaultValue, ...property } = properties[key];
+            if (property.enum) {
+              property.enum = allowed;
+            }
+            // A default that is not allowed has to be overridden explicitly
+            if (allowed.includes(defaultValue)) {
+              property.default = defaultValue;
+            } else if (!required.includes(key)) {
+              required.push(key);
+            }
+            properties[key] = property;
+          }
+          return {
+            ...tool,
+            inputSchema: { ...tool.inputSchema, properties, required },
+          };
+        });
+    };
+
+    // Arguments holding filesystem paths that must stay inside the sandbox
+    this.pathArguments = ["repo_path", "output_path"];
+
+    // Arguments holding paths relative to repo_path (a path, a list of paths,
+    // or git_read_files' { path } entries); joined with repo_path, they must
+    // stay inside the sandbox too
+    this.repoPathArguments = [
+      "file_path",
+      "file_paths",
+      "files",
+      "paths",
+      "subpath",
+    ];
+
+    /**
+     * Resolve the path arguments of a tool call through the sandbox policy
+     * @param {Object} args - Tool arguments
+     * @returns {Promise<Object>} Arguments with symlink-free absolute paths
+     */
+    this.sandboxArguments = async (args = {}) => {
+      const resolved = { ...args };
+      for (const key of this.pathArguments) {
+        if (typeof resolved[key] === "string") {
+          resolved[key] = await this.sandbox.resolvePath(resolved[key]);
+        }
+      }
+
+      // Relative paths are checked, but passed on as they are
+      if (typeof resolved.repo_path === "string") {
+        for (const key of this.repoPathArguments) {
+          for (const entry of [].concat(resolved[key] ?? [])) {
+            const relativePath =
+              entry && typeof entry === "object" ? entry.path : entry;
+            if (typeof relativePath === "string") {
+              await this.sandbox.resolvePath(
+                path.resolve(resolved.repo_path, relativePath)
+              );
+            }
+          }
+        }
+      }
+
+      // Local repositories passed as repo_url are read from disk too
+      const localPath =
+        typeof resolved.repo_url === "string"
+          ? localRepoPath(resolved.repo_url)
+          : null;
+      if (localPath) {
+        await this.sandbox.resolvePath(localPath);
+      }
+
+      return resolved;
+    };
+
+    /**
+     * Build the tool result reported for a sandbox violation
+     * @param {SandboxError} error - The violation
+     * @returns {Object} Tool result with structured error details
+     */
+    this.sandboxErrorResult = (error) => ({
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            { error: error.message, code: "SANDBOX_VIOLATION", ...error.details },
+            null,
+            2
+          ),
+        },
+      ],
+      isError: true,
+    });
+
+    // Pending two-step confirmations of destructive operations, keyed by token
+    this.pendingConfirmations = new Map();
+    this.confirmationTimeout = 5 * 60 * 1000;
+
+    /**
+     * Ask for confirmation before a destructive tool call. Clients that
+     * support elicitation are asked directly; others get a one-time token
+     * they must send back with the same arguments.
+     * @param {string} name - Tool name (aliases already resolved)
+     * @param {Object} args - Tool arguments (may include confirm_token)
+     * @param {Object} session - Session the call belongs to
+     * @param {Server} server - MCP server instance of the session
+     * @returns {Promise<Object>} `{ args }` to proceed with, or `{ result }` to return instead
+     */
+    this.confirmDestructive = async (name, args, session, server) => {
+      const { confirm_token: token, ...toolArgs } = args;
+      if (
+        this.config.confirmDestructive === false ||
+        !getDestructiveOperation(name, toolArgs)
+      ) {
+        return { args: toolArgs };
+      }
+
+      const argsKey = JSON.stringify(toolArgs, Object.keys(toolArgs).sort());
+      const now = Date.now();
+
+      // Second step of a token confirmation
+      if (token) {
+        const pending = this.pendingConfirmations.get(token);
+        this.pendingConfirmations.delete(token);
+        if (
+          pending &&
+          pending.expires > now &&
+          pending.session_id === session.id &&
+          pending.name === name &&
+          pending.args_key === argsKey
+        ) {
+          return { args: toolArgs };
+        }
+        return {
+          result: {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(
+                  {
+                    error:
+                      "Invalid or expired confirmation token. Call the tool again without confirm_token to get a new one.",
+                  },
+                  null,
+                  2
+                ),
+              },
+            ],
+            isError: true,
+          },
+        };
+      }
+
+      const preview = await previewDestructiveOperation(name, toolArgs);
+
+      if (server.getClientCapabilities()?.elicitation) {
+        try {
+          const response = await server.request(
+            {
+              method: "elicitation/create",
+              params: {
+                message: `${preview.summary}. Proceed?\n\n${JSON.stringify(
+                  preview,
+                  null,
+                  2
+                )}`,
+                requestedSchema: {
+                  type: "object",
+                  properties: {
+                    confirm: {
+                      type: "boolean",
+                      title: "Proceed",
+                      description: `Run ${name}`,
+                    },
+                  },
+                  required: ["confirm"],
+                },
+              },
+            },
+            ResultSchema,
+            { timeout: this.confirmationTimeout }
+          );
+
+          if (response.action === "accept" && response.content?.confirm) {
+            return { args: toolArgs };
+          }
+          return {
+            result: {
+              content: [
+                {
+                  type: "text",
+                  text: JSON.stringify(
+                    {
+                      error: `${name} was not confirmed by the user (${response.action})`,
+                      preview: preview,
+                    },
+                    null,
+                    2
+                  ),
+                },
+              ],
+              isError: true,
+            },
+          };
+        } catch (error) {
+          console.error(
+            `[WARN] Elicitation failed, falling back to a confirmation token: ${error.message}`
+          );
+        }
+      }
+
+      // Drop expired tokens before issuing a new one
+      for (const [key, pending] of this.pendingConfirmations) {
+        if (pending.expires <= now) {
+          this.pendingConfirmations.delete(key);
+        }
+      }
+
+      const confirmToken = crypto.randomBytes(16).toString("hex");
+      const expires = now + this.confirmationTimeout;
+      this.pendingConfirmations.set(confirmToken, {
+        session_id: session.id,
+        name: name,
+        args_key: argsKey,
+        expires: expires,
+      });
+
+      return {
+        result: {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  confirmation_required: true,
+                  message: `${preview.summary}. Nothing was changed. Call ${name} again with the same arguments and confirm_token to proceed.`,
+                  confirm_token: confirmToken,
+                  expires_at: new Date(expires).toISOString(),
+                  preview: preview,
+                },
+                null,
+                2
+              ),
+            },
+          ],
+          isError: true,
+        },
+      };
+    };
+
+    /**
+     * Record a safety checkpoint before a mutating tool call, so git_undo
+     * can restore the repository. A failed checkpoint is logged but does not
+     * block the call.
+     * @param {string} name - Tool name (aliases already resolved)
+     * @param {Object} args - Tool arguments
+     * @param {Object} session - Session the call belongs to
+     * @returns {Promise<Object|null>} Checkpoint metadata, or null if none was recorded
+     */
+    this.recordCheckpoint = async (name, args, session) => {
+      if (this.config.checkpoints === false || !shouldCheckpoint(name, args)) {
+        return null;
+      }
+      try {
+        const checkpoint = await createCheckpoint(
+          args.repo_path,
+          { tool: name, args: args, session_id: session.id },
+          this.config.maxCheckpoints || 50
+        );
+        console.error(`[INFO] Recorded checkpoint ${checkpoint.id} before ${name}`);
+        return checkpoint;
+      } catch (error) {
+        console.error(
+          `[WARN] Could not record a checkpoint before ${name}: ${error.message}`
+        );
+        return null;
+      }
+    };
+
+    /**
+     * Run the checks every tool call passes before its handler: category
+     * policy, argument validation, sandbox and confirmation of destructive
+     * operations. The safety checkpoint is recorded by callTool once the
+     * call holds the repository lock.
+     * @param {string} name - Tool name or alias
+     * @param {Object} args - Tool arguments
+     * @param {Object} session - Session the call belongs to
+     * @param {Server} server - MCP server instance of the session
+     * @returns {Promise<Object>} `{ args }` to run the handler with, or `{ result }` to return instead
+     */
+    this.preflight = async (name, args = {}, session, server) => {
+      const toolName = this.handlerAliases[name] || name;
+
+      // Enforce the enabled categories, not just the advertised list
+      const denial = this.checkCategoryPolicy(toolName, args);
+      if (denial) {
+        console.error(`[WARN] Rejected ${name}: ${denial}`);
+        throw new McpError(ErrorCode.InvalidRequest, denial);
+      }
+
+      // Check the arguments against the tool's schema and apply its defaults
+      const schema = this.getToolSchema(toolName);
+      if (schema) {
+        try {
+          args = validateArguments(toolName, schema, args);
+        } catch (error) {
+          if (!(error instanceof ValidationError)) {
+            throw error;
+          }
+          console.error(`[WARN] Rejected ${name}: ${error.message}`);
+          throw new McpError(ErrorCode.InvalidParams, error.message);
+        }
+      }
+
+      let resolvedArgs;
+      try {
+        resolvedArgs = await this.sandboxArguments(args);
+      } catch (error) {
+        if (!(error instanceof SandboxError)) {
+          throw error;
+        }
+        console.error(`[WARN] Rejected ${name}: ${error.message}`);
+        return { result: this.sandboxErrorResult(error) };
+      }
+
+      return this.confirmDestructive(toolName, resolvedArgs, session, server);
+    };
+
+    /**
+     * Tell the client how old the data of a repo_url call is: always in the
+     * result's metadata, and as a note in the content when the clone was not
+     * fetched within the refresh TTL (offline mode)
+     * @param {string} repoUrl - repo_url argument of the call
+     * @param {Object} result - Tool result, extended in place
+     */
+    this.addCacheFreshness = async (repoUrl, result) => {
+      const remoteUrl = stripUrlCredentials(repoUrl);
+      let freshness;
+      try {
+        freshness = await cloneFreshness(cloneDirectory(remoteUrl));
+      } catch (error) {
+        // Not cached (e.g. evicted by the call)
+        return;
+      }
+
+      const { ttlSeconds, offline } = refreshSettings();
+      const cache = {
+        url: remoteUrl,
+        ...freshness,
+        offline: offline,
+        stale: freshness.age_seconds === null || freshness.age_seconds > ttlSeconds,
+      };
+      result._meta = { ...result._meta, cache };
+      if (cache.stale && Array.isArray(result.content)) {
+        result.content.push({
+          type: "text",
+          text: JSON.stringify({ cache }, null, 2),
+        });
+      }
+    };
+
+    /**
+     * Build the result of a call that gave up waiting for a repository lock
+     * @param {LockTimeoutError} error - The timeout
+     * @returns {Object} Tool result with structured error details
+     */
+    this.lockTimeoutResult = (error) => ({
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            { error: error.message, code: "LOCK_TIMEOUT", ...error.details },
+            null,
+            2
+          ),
+        },
+      ],
+      isError: true,
+    });
+
+    /**
+     * Build an error result for a batch that could not start
+     * @param {string} message - Error message
+     * @returns {Object} Tool result with isError set
+     */
+    this.batchErrorResult = (message) => ({
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({ error: message }, null, 2),
+        },
+      ],
+      isError: true,
+    });
+
+    /**
+     * Run git_batch: execute tool calls in order, each through the normal
+     * dispatch path (policy, sandbox, confirmation, checkpoint, audit).
+     * Steps can use earlier outputs via {{<step id>.<path>}} references.
+     * @param {Object} args - git_batch arguments
+     * @param {Object[]} args.operations - Steps ({ id, name, arguments })
+     * @param {string} args.mode - stop_on_error or continue
+     * @param {boolean} args.rollback - Restore the pre-batch checkpoint if any step fails
+     * @param {Object} session - Session the call belongs to
+     * @param {Server} server - MCP server instance of the session
+     * @returns {Promise<Object>} Tool result with one entry per step
+     */
+    this.executeSequence = async (
+      { operations, mode = "stop_on_error", rollback = false },
+      session = this.defaultSession,
+      server = this.server
+    ) => {
+      if (!Array.isArray(operations) || operations.length === 0) {
+        return this.batchErrorResult("operations must be a non-empty array");
+      }
+
+      // Step ids default to the step's position
+      const ids = operations.map((op, index) =>
+        op && op.id !== undefined ? String(op.id) : String(index)
+      );
+      for (const [index, op] of operations.entries()) {
+        if (!op || typeof op.name !== "string") {
+          return this.batchErrorResult(`Step ${index} has no tool name`);
+        }
+        if (ids.indexOf(ids[index]) !== index) {
+          return this.batchErrorResult(`Duplicate step id: ${ids[index]}`);
+        }
+      }
+
+      // Checkpoints and rollback write refs and reset working trees, which
+      // a session limited to read tools must not do
+      if (
+        rollback &&
+        this.enabledCategories.every((category) => category === "read")
+      ) {
+        return this.batchErrorResult(
+          "rollback is not available when only read tools are enabled"
+        );
+      }
+
+      // Checkpoint every repository the batch touches before the first step
+      const checkpoints = [];
+      if (rollback) {
+        const repoPaths = new Set();
+        for (const op of operations) {
+          const repoPath = op.arguments?.repo_path;
+          if (typeof repoPath === "string" && !hasReferences(repoPath)) {
+            try {
+              repoPaths.add(
+                (await this.sandboxArguments({ repo_path: repoPath })).repo_path
+              );
+            } catch (error) {
+              if (error instanceof SandboxError) {
+                return this.sandboxErrorResult(error);
+              }
+              throw error;
+            }
+          }
+        }
+        if (repoPaths.size === 0) {
+          return this.batchErrorResult(
+            "rollback needs at least one step with a literal repo_path"
+          );
+        }
+        for (const repoPath of repoPaths) {
+          try {
+            const checkpoint = await withRepoLock(
+              path.resolve(repoPath),
+              "exclusive",
+              () =>
+                createCheckpoint(
+                  repoPath,
+                  {
+                    tool: "git_batch",
+                    args: { steps: operations.map((op) => op.name) },
+                    session_id: session.id,
+                  },
+                  this.config.maxCheckpoints || 50
+                ),
+              { owner: `git_batch (session ${session.id})` }
+            );
+            checkpoints.push({ repo_path: repoPath, checkpoint });
+          } catch (error) {
+            return this.batchErrorResult(
+              `Could not checkpoint ${repoPath} before the batch: ${error.message}`
+            );
+          }
         }
-        results.push(await handler(args));
       }
-      return results;
+
+      const outputs = {};
+      const steps = [];
+      let failed = false;
+
+      for (const [index, op] of operations.entries()) {
+        const step = { step: index, id: ids[index], name: op.name };
+        steps.push(step);
+
+        if (failed && mode === "stop_on_error") {
+          step.status = "skipped";
+          continue;
+        }
+
+        const stepStart = Date.now();
+        try {
+          if ((this.handlerAliases[op.name] || op.name) === "git_batch") {
+            throw new Error("git_batch cannot be nested");
+          }
+          const args = resolveReferences(op.arguments || {}, outputs);
+          const result = await this.callTool(op.name, args, session, server);
+          step.output = parseToolOutput(result);
+          if (result && result.isError) {
+            step.status = "error";
+            step.error = this.resultError(result);
+          } else {
+            step.status = "success";
+            outputs[ids[index]] = step.output;
+          }
+        } catch (error) {
+          step.status = "error";
+          step.error = error.message;
+        }
+        step.duration_ms = Date.now() - stepStart;
+        failed = failed || step.status === "error";
+      }
+
+      // All or nothing: put every repository back as it was
+      let rolledBack = null;
+      if (failed && rollback) {
+        rolledBack = [];
+        for (const { repo_path, checkpoint } of checkpoints) {
+          try {
+            await withRepoLock(
+              path.resolve(repo_path),
+              "exclusive",
+              async () => {
+                await createCheckpoint(
+                  repo_path,
+                  {
+                    tool: "git_batch",
+                    args: { rollback_to: checkpoint.id },
+                    session_id: session.id,
+                  },
+                  this.config.maxCheckpoints || 50
+                );
+                await restoreCheckpoint(repo_path, checkpoint);
+              },
+              { owner: `git_batch (session ${session.id})` }
+            );
+            rolledBack.push({ repo_path, checkpoint_id: checkpoint.id });
+          } catch (error) {
+            rolledBack.push({
+              repo_path,
+              checkpoint_id: checkpoint.id,
+              error: `Rollback failed: ${error.message}`,
+            });
+          }
+        }
+      }
+
+      const count = (status) =>
+        steps.filter((step) => step.status === status).length;
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: !failed,
+                mode: mode,
+                succeeded: count("success"),
+                failed: count("error"),
+                skipped: count("skipped"),
+                ...(rollback && {
+                  checkpoints: checkpoints.map(({ repo_path, checkpoint }) => ({
+                    repo_path,
+                    checkpoint_id: checkpoint.id,
+                  })),
+                  rolled_back: rolledBack,
+                }),
+                steps: steps,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+        ...(failed && { isError: true }),
+      };
     };
 
     // Add method to check if a repository is valid
@@ -969,25 +2579,150 @@ export class GitRepoBrowserServer {
       }
     };
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
-      const startTime = Date.now();
+    /**
+     * Read the commit HEAD points to, for the audit log
+     * @param {string} repoPath - Path to the local repository
+     * @returns {Promise<string|null>} HEAD commit, or null if there is none
+     */
+    this.readHead = async (repoPath) => {
+      if (!this.auditLog.enabled) {
+        return null;
+      }
+      try {
+        return (await simpleGit(repoPath).revparse(["HEAD"])).trim();
+      } catch (error) {
+        return null;
+      }
+    };
 
-      // Handle batch operations as a special case
-      if (name === "git_batch") {
-        if (!Array.isArray(args.operations)) {
-          throw new McpError(
-            ErrorCode.InvalidParams,
-            "Operations must be an array"
-          );
-        }
-        return await this.executeSequence(args.operations);
+    /**
+     * Extract the error message of an error result, for the audit log
+     * @param {Object} result - Tool result with isError set
+     * @returns {string} Error message
+     */
+    this.resultError = (result) => {
+      const text = result.content?.[0]?.text || "";
+      try {
+        const parsed = JSON.parse(text);
+        return parsed.error || parsed.message || text;
+      } catch (error) {
+        return text;
+      }
+    };
+
+    /**
+     * Work out which repository lock a call needs: the local repository of
+     * repo_path or the clone of repo_url. Calls that only read share the
+     * lock; all others hold it alone.
+     * @param {string} name - Tool name (aliases already resolved)
+     * @param {Object} args - Validated tool arguments
+     * @returns {Object|null} `{ key, mode }`, or null for calls without a repository
+     */
+    this.lockTarget = (name, args) => {
+      let key = null;
+      if (typeof args.repo_path === "string") {
+        key = path.resolve(args.repo_path);
+      } else if (typeof args.repo_url === "string") {
+        key = cloneDirectory(stripUrlCredentials(args.repo_url));
       }
+      if (!key) {
+        return null;
+      }
+
+      const readOnlyArgs = this.readOnlyArguments[name];
+      const readOnly =
+        this.handlerCategories.read.includes(name) ||
+        (readOnlyArgs &&
+          Object.entries(readOnlyArgs).every(([arg, allowed]) =>
+            allowed.includes(args[arg])
+          ));
+      return { key, mode: readOnly ? "shared" : "exclusive" };
+    };
+
+    /**
+     * Tell the client that a call is waiting for another call's lock: as a
+     * log message (unless the session asked for warnings and above only),
+     * and as progress if the client asked for progress
+     * @param {Object} session - Session the call belongs to
+     * @param {Server} server - MCP server instance of the session
+     * @param {string} name - Tool name
+     * @param {Object} lock - Lock the call waits for ({ key, mode })
+     * @param {Object[]} holders - Current holders of the lock
+     * @param {string|number} [progressToken] - Progress token of the request
+     */
+    this.reportLockWait = (session, server, name, lock, holders, progressToken) => {
+      const message = `${name} is waiting for the ${lock.mode} lock on ${lock.key}, held by ${
+        holders.map((holder) => holder.owner || "another call").join(", ") ||
+        "queued calls"
+      }`;
+      console.error(`[INFO] ${message}`);
+
+      const notify = (notification) =>
+        Promise.resolve(notification).catch((error) =>
+          console.error(`[WARN] Could not report lock wait: ${error.message}`)
+        );
+      if (!session.logLevel || ["debug", "info"].includes(session.logLevel)) {
+        notify(
+          server.sendLoggingMessage({ level: "info", logger: "locks", data: message })
+        );
+      }
+      if (progressToken !== undefined && progressToken !== null) {
+        notify(
+          server.notification({
+            method: "notifications/progress",
+            params: { progressToken, progress: 0 },
+          })
+        );
+      }
+    };
+
+    /**
+     * Execute a tool call on behalf of a session
+     * @param {string} name - Tool name or alias
+     * @param {Object} args - Tool arguments
+     * @param {Object} session - Session the call belongs to
+     * @param {Server} server - MCP server instance of the session
+     * @param {Object} [meta] - Request metadata (progressToken)
+     * @returns {Promise<Object>} Tool result
+     */
+    this.callTool = async (
+      name,
+      args = {},
+      session = this.defaultSession,
+      server = this.server,
+      meta = {}
+    ) => {
+      const startTime = Date.now();
+
+      const toolName = this.handlerAliases[name] || name;
+      const audit = {
+        timestamp: new Date(startTime).toISOString(),
+        session_id: session.id,
+        tool: toolName,
+        alias: toolName !== name ? name : undefined,
+        arguments: sanitizeArguments(args),
+        repo: sanitizeArguments(args.repo_path || args.repo_url || null),
+        head_before: null,
+        head_after: null,
+      };
+      let repoPath = null;
 
       try {
         // Resolve handler via direct match or alias
         const handler = this.handlersMap[name];
         if (handler) {
+          const prepared = await this.preflight(name, args, session, server);
+          if (prepared.result) {
+            audit.status = "blocked";
+            audit.error = this.resultError(prepared.result);
+            return prepared.result;
+          }
+
+          repoPath = prepared.args.repo_path || null;
+          if (repoPath) {
+            audit.repo = repoPath;
+          }
+
           // Track usage statistics
           const stats = this.handlerStats.get(name) || {
             count: 0,
@@ -996,18 +2731,73 @@ export class GitRepoBrowserServer {
           stats.count++;
           this.handlerStats.set(name, stats);
 
-          console.error(`[INFO] Executing Git tool: ${name}`);
-          const result = await handler(args);
+          // Checkpoint, HEAD and handler all run under the repository lock
+          const lock = this.lockTarget(toolName, prepared.args);
+          const lockStart = Date.now();
+          const execute = async () => {
+            if (lock) {
+              audit.lock_wait_ms = Date.now() - lockStart;
+            }
+            await this.recordCheckpoint(toolName, prepared.args, session);
+            if (repoPath) {
+              audit.head_before = await this.readHead(repoPath);
+            }
+            console.error(`[INFO] Executing Git tool: ${name}`);
+            try {
+              return await handler(prepared.args, { session, server });
+            } finally {
+              if (repoPath) {
+                audit.head_after = await this.readHead(repoPath);
+              }
+            }
+          };
+
+          let result;
+          if (!lock) {
+            result = await execute();
+          } else {
+            try {
+              result = await withRepoLock(lock.key, lock.mode, execute, {
+                owner: `${toolName} (session ${session.id})`,
+                onWait: (holders) =>
+                  this.reportLockWait(
+                    session,
+                    server,
+                    name,
+                    lock,
+                    holders,
+                    meta?.progressToken
+                  ),
+              });
+            } catch (error) {
+              if (!(error instanceof LockTimeoutError)) {
+                throw error;
+              }
+              console.error(`[WARN] ${name}: ${error.message}`);
+              audit.status = "error";
+              audit.error = error.message;
+              return this.lockTimeoutResult(error);
+            }
+          }
+
+          if (typeof prepared.args.repo_url === "string" && result && !result.isError) {
+            await this.addCacheFreshness(prepared.args.repo_url, result);
+          }
 
           const executionTime = Date.now() - startTime;
           stats.totalTime += executionTime;
           console.error(`[INFO] Completed ${name} in ${executionTime}ms`);
 
+          audit.status = result && result.isError ? "error" : "success";
+          if (result && result.isError) {
+            audit.error = this.resultError(result);
+          }
           return result;
         }
 
         // Suggest similar commands if not found
         const similarCommands = Object.keys(this.handlersMap)
+          .filter((cmd) => this.isToolEnabled(this.handlerAliases[cmd] || cmd))
           .filter((cmd) => cmd.includes(name.replace(/^git_/, "")))
           .slice(0, 3);
 
@@ -1021,6 +2811,9 @@ export class GitRepoBrowserServer {
           `Unknown tool: ${name}${suggestion}`
         );
       } catch (error) {
+        audit.status = "error";
+        audit.error = error.message;
+
         // Enhanced error handling
         if (error instanceof McpError) {
           throw error;
@@ -1030,17 +2823,26 @@ export class GitRepoBrowserServer {
           ErrorCode.InternalError,
           `Failed to execute ${name}: ${error.message}`
         );
+      } finally {
+        audit.duration_ms = Date.now() - startTime;
+        if (audit.error) {
+          audit.error = sanitizeArguments(audit.error);
+        }
+        await this.auditLog.append(audit);
       }
-    });
+    };
+
+    this.registerRequestHandlers(this.server, this.defaultSession);
 
     /**
      * Register a new handler at runtime
      * @param {string} name - The name of the handler
      * @param {Function} handler - The handler function
      * @param {Object} [toolInfo] - Optional tool information for ListToolsRequestSchema
+     * @param {string} [category] - Category the tool belongs to (default: custom)
      * @returns {boolean} True if registration was successful
      */
-    this.registerHandler = (name, handler, toolInfo) => {
+    this.registerHandler = (name, handler, toolInfo, category = "custom") => {
       if (typeof handler !== "function") {
         throw new Error(`Handler for ${name} must be a function`);
       }
@@ -1048,6 +2850,18 @@ export class GitRepoBrowserServer {
       // Add to handlers map
       this.handlersMap[name] = handler;
 
+      // Add to its category; new categories are only enabled when the
+      // configuration does not restrict categories
+      if (!this.handlerCategories[category]) {
+        this.handlerCategories[category] = [];
+        if (!this.config.categories && !this.config.readOnly) {
+          this.enabledCategories.push(category);
+        }
+      }
+      if (!this.handlerCategories[category].includes(name)) {
+        this.handlerCategories[category].push(name);
+      }
+
       // Update tools list if toolInfo is provided
       if (toolInfo && typeof toolInfo === "object") {
         // Get current tools
@@ -1075,17 +2889,144 @@ export class GitRepoBrowserServer {
       }
 
       delete this.handlersMap[name];
+      Object.values(this.handlerCategories).forEach((names) => {
+        const index = names.indexOf(name);
+        if (index !== -1) {
+          names.splice(index, 1);
+        }
+      });
       console.error(`[INFO] Unregistered handler: ${name}`);
       return true;
     };
   }
 
   /**
-   * Start the server
+   * Register the MCP request handlers on a server instance
+   * @param {Server} server - MCP server to register the handlers on
+   * @param {Object} session - Session the server instance belongs to
+   */
+  registerRequestHandlers(server, session) {
+    // Set up dynamic tool listing handler
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({
+      tools: this.getVisibleTools(),
+    }));
+
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      const { name, arguments: args, _meta } = request.params;
+      return this.callTool(name, args, session, server, _meta);
+    });
+
+    // Minimum level of the log messages sent to this session
+    server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+      session.logLevel = request.params.level;
+      return {};
+    });
+  }
+
+  /**
+   * Start the server on the configured transport
    */
   async run() {
+    if (this.config.transport === "http") {
+      await this.runHttp();
+      return;
+    }
+
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
     console.error("Git Repo Browser MCP server running on stdio");
   }
+
+  /**
+   * Start an HTTP server that serves one MCP session per SSE connection
+   */
+  async runHttp() {
+    const { host = "127.0.0.1", port = 3000 } = this.config;
+
+    this.httpServer = http.createServer((req, res) => {
+      this.handleHttpRequest(req, res).catch((error) => {
+        console.error(`[ERROR] HTTP request failed: ${error.message}`);
+        if (!res.headersSent) {
+          res.writeHead(500).end("Internal server error");
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once("error", reject);
+      this.httpServer.listen(port, host, resolve);
+    });
+
+    const address = this.httpServer.address();
+    console.error(
+      `Git Repo Browser MCP server running on http://${host}:${address.port}/sse`
+    );
+  }
+
+  /**
+   * Route an HTTP request to the SSE endpoints
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Server response
+   */
+  async handleHttpRequest(req, res) {
+    const url = new URL(req.url, "http://localhost");
+
+    // Open a new session: each SSE stream gets its own MCP server instance
+    if (req.method === "GET" && url.pathname === "/sse") {
+      const transport = new SSEServerTransport("/messages", res);
+      const server = this.createServer();
+      const session = {
+        id: transport.sessionId,
+        transport: "sse",
+        created_at: new Date().toISOString(),
+      };
+
+      this.registerRequestHandlers(server, session);
+      this.sessions.set(session.id, { session, server, transport });
+      server.onclose = () => {
+        this.sessions.delete(session.id);
+        console.error(`[INFO] Closed session ${session.id}`);
+      };
+
+      await server.connect(transport);
+      console.error(`[INFO] Opened session ${session.id}`);
+      return;
+    }
+
+    // Deliver a client message to its session
+    if (req.method === "POST" && url.pathname === "/messages") {
+      const entry = this.sessions.get(url.searchParams.get("sessionId"));
+      if (!entry) {
+        res.writeHead(404).end("Unknown session");
+        return;
+      }
+      await entry.transport.handlePostMessage(req, res);
+      return;
+    }
+
+    if (req.method === "GET" && url.pathname === "/health") {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ status: "ok", sessions: this.sessions.size }));
+      return;
+    }
+
+    res.writeHead(404).end("Not found");
+  }
+
+  /**
+   * Close all sessions and transports, then exit
+   */
+  async shutdown() {
+    for (const { server } of this.sessions.values()) {
+      await server.close();
+    }
+    this.sessions.clear();
+
+    if (this.httpServer) {
+      await new Promise((resolve) => this.httpServer.close(resolve));
+    }
+
+    await this.server.close();
+    process.exit(0);
+  }
 }
@@ -0,0 +1,85 @@
+// A reference to an earlier step's output: {{<step id>.<path>}}
+const REFERENCE_PATTERN = /\{\{\s*([\w-]+)((?:\.[\w-]+)*)\s*\}\}/g;
+
+/**
+ * Looks up a value in the output of an earlier step
+ * @param {Object} outputs - Outputs of completed steps, keyed by step id
+ * @param {string} id - Step id
+ * @param {string} valuePath - Dotted path into the output (e.g. ".files.0")
+ * @returns {*} - Referenced value
+ */
+function lookupReference(outputs, id, valuePath) {
+  if (!Object.prototype.hasOwnProperty.call(outputs, id)) {
+    throw new Error(`Unknown or unsuccessful step referenced: ${id}`);
+  }
+
+  let value = outputs[id];
+  for (const key of valuePath.split(".").filter(Boolean)) {
+    if (value === null || typeof value !== "object" || !(key in value)) {
+      throw new Error(`Step ${id} has no value at ${valuePath.substring(1)}`);
+    }
+    value = value[key];
+  }
+  return value;
+}
+
+/**
+ * Replaces references to earlier step outputs in step arguments. A string
+ * that is a single reference takes the referenced value as is; references
+ * inside a longer string are interpolated.
+ * @param {*} value - Arguments (or a nested value)
+ * @param {Object} outputs - Outputs of completed steps, keyed by step id
+ * @returns {*} - Arguments with references resolved
+ */
+export function resolveReferences(value, outputs) {
+  if (typeof value === "string") {
+    const whole = value.match(/^\{\{\s*([\w-]+)((?:\.[\w-]+)*)\s*\}\}$/);
+    if (whole) {
+      return lookupReference(outputs, whole[1], whole[2]);
+    }
+    return value.replace(REFERENCE_PATTERN, (match, id, valuePath) => {
+      const resolved = lookupReference(outputs, id, valuePath);
+      return typeof resolved === "object"
+        ? JSON.stringify(resolved)
+        : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveReferences(item, outputs));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        resolveReferences(item, outputs),
+      ])
+    );
+  }
+  return value;
+}
+
+/**
+ * Checks whether step arguments reference earlier steps
+ * @param {*} value - Arguments (or a nested value)
+ * @returns {boolean} - True if any string contains a reference
+ */
+export function hasReferences(value) {
+  return JSON.stringify(value ?? null).includes("{{");
+}
+
+/**
+ * Reads the JSON a tool result carries, falling back to its text
+ * @param {Object} result - Tool result
+ * @returns {*} - Parsed output
+ */
+export function parseToolOutput(result) {
+  const text = result?.content?.[0]?.text;
+  if (typeof text !== "string") {
+    return result ?? null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
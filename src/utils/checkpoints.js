@@ -0,0 +1,360 @@
+import { execFile } from "child_process";
+import { promisify } from "util";
+import crypto from "crypto";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+
+const execFilePromise = promisify(execFile);
+
+// Private namespace the checkpoints are stored under
+export const CHECKPOINT_REF_PREFIX = "refs/mcp/checkpoints/";
+
+// First line of every checkpoint commit message; the metadata JSON follows
+const CHECKPOINT_SUBJECT = "mcp checkpoint";
+
+// Identity used for checkpoint commits, so they work without user.name/email
+const CHECKPOINT_IDENTITY = {
+  GIT_AUTHOR_NAME: "git-commands-mcp",
+  GIT_AUTHOR_EMAIL: "git-commands-mcp@localhost",
+  GIT_COMMITTER_NAME: "git-commands-mcp",
+  GIT_COMMITTER_EMAIL: "git-commands-mcp@localhost",
+};
+
+/**
+ * Tool calls that change repository state, with the argument values that
+ * make them mutate
+ */
+const CHECKPOINT_OPERATIONS = {
+  git_commit: () => true,
+  git_track: () => true,
+  git_reset: () => true,
+  git_rebase: () => true,
+  git_merge_branch: () => true,
+  git_revert: () => true,
+  git_checkout_branch: () => true,
+  git_delete_branch: () => true,
+  git_pull: () => true,
+  git_create_tag: () => true,
+  git_stash: ({ action = "save" }) => action !== "list",
+  git_clean: ({ dry_run = true }) => !dry_run,
+};
+
+/**
+ * Checks whether a tool call should be preceded by a checkpoint
+ * @param {string} name - Tool name (aliases already resolved)
+ * @param {Object} args - Tool arguments
+ * @returns {boolean} - True if the call mutates a local repository
+ */
+export function shouldCheckpoint(name, args = {}) {
+  const applies = CHECKPOINT_OPERATIONS[name];
+  return Boolean(applies && typeof args.repo_path === "string" && applies(args));
+}
+
+/**
+ * Runs a git command in a repository
+ * @param {string} repoPath - Path to the repository
+ * @param {string[]} args - Git arguments
+ * @param {Object} env - Extra environment variables
+ * @returns {Promise<string>} - Command output
+ */
+async function runGit(repoPath, args, env = {}) {
+  const { stdout } = await execFilePromise("git", args, {
+    cwd: repoPath,
+    env: { ...process.env, ...env },
+    maxBuffer: 64 * 1024 * 1024,
+  });
+  return stdout;
+}
+
+/**
+ * Runs a git command, returning null instead of failing
+ * @param {string} repoPath - Path to the repository
+ * @param {string[]} args - Git arguments
+ * @returns {Promise<string|null>} - Trimmed output, or null on failure
+ */
+async function tryGit(repoPath, args) {
+  try {
+    return (await runGit(repoPath, args)).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Lists refs under the given prefixes
+ * @param {string} repoPath - Path to the repository
+ * @param {string[]} prefixes - Ref prefixes (e.g. refs/heads)
+ * @returns {Promise<Object>} - Map of ref name to SHA
+ */
+async function listRefs(repoPath, prefixes) {
+  const output = await runGit(repoPath, [
+    "for-each-ref",
+    "--format=%(objectname) %(refname)",
+    ...prefixes,
+  ]);
+  const refs = {};
+  for (const line of output.split("\n").filter(Boolean)) {
+    const [sha, ref] = line.split(" ");
+    refs[ref] = sha;
+  }
+  return refs;
+}
+
+/**
+ * Writes a tree of the whole working tree, including untracked (but not
+ * ignored) files, without touching the repository's index
+ * @param {string} repoPath - Repository top level directory
+ * @param {string|null} head - HEAD commit, or null in an empty repository
+ * @returns {Promise<string>} - Tree SHA
+ */
+export async function snapshotWorkingTree(repoPath, head) {
+  const indexFile = path.join(
+    os.tmpdir(),
+    `mcp_checkpoint_index_${crypto.randomBytes(6).toString("hex")}`
+  );
+  const env = { GIT_INDEX_FILE: indexFile };
+
+  try {
+    await runGit(repoPath, head ? ["read-tree", head] : ["read-tree", "--empty"], env);
+    await runGit(repoPath, ["add", "--all", "--", "."], env);
+    return (await runGit(repoPath, ["write-tree"], env)).trim();
+  } finally {
+    await fs.remove(indexFile);
+  }
+}
+
+/**
+ * Records a checkpoint of HEAD, branch and tag refs, stash entries, the
+ * index and the working tree
+ * @param {string} repoPath - Path to the repository
+ * @param {Object} info - Description of the operation about to run
+ * @param {string} info.tool - Tool name
+ * @param {Object} info.args - Tool arguments
+ * @param {string} [info.session_id] - Session that ran the tool
+ * @param {number|null} [maxCheckpoints] - Checkpoints to keep per repository (null keeps all)
+ * @returns {Promise<Object>} - Checkpoint metadata
+ */
+export async function createCheckpoint(repoPath, info, maxCheckpoints = null) {
+  const root = (await runGit(repoPath, ["rev-parse", "--show-toplevel"])).trim();
+
+  const head = await tryGit(root, ["rev-parse", "--verify", "--quiet", "HEAD"]);
+  const headRef = await tryGit(root, ["symbolic-ref", "--quiet", "HEAD"]);
+  const refs = await listRefs(root, ["refs/heads", "refs/tags"]);
+  const stashOutput = await tryGit(root, ["log", "-g", "--format=%H%x09%gs", "refs/stash"]);
+  const stashes = (stashOutput || "")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const [sha, ...message] = line.split("\t");
+      return { sha, message: message.join("\t") };
+    });
+
+  // The index cannot be written as a tree while it has conflicts
+  const indexTree = await tryGit(root, ["write-tree"]);
+  const worktreeTree = await snapshotWorkingTree(root, head);
+
+  const id = `${Date.now()}-${crypto.randomBytes(3).toString("hex")}`;
+  const metadata = {
+    id: id,
+    created_at: new Date().toISOString(),
+    tool: info.tool,
+    args: info.args,
+    session_id: info.session_id || null,
+    head: head,
+    head_ref: headRef,
+    refs: refs,
+    stashes: stashes,
+    index_tree: indexTree,
+    worktree_tree: worktreeTree,
+  };
+
+  const parents = head ? ["-p", head] : [];
+  const message = `${CHECKPOINT_SUBJECT} before ${info.tool}\n\n${JSON.stringify(metadata)}`;
+
+  // Like a stash: the index is a commit of its own, the working tree its child
+  let indexCommit = null;
+  if (indexTree) {
+    indexCommit = (
+      await runGit(
+        root,
+        ["commit-tree", indexTree, ...parents, "-m", `index of checkpoint ${id}`],
+        CHECKPOINT_IDENTITY
+      )
+    ).trim();
+  }
+  const commit = (
+    await runGit(
+      root,
+      [
+        "commit-tree",
+        worktreeTree,
+        ...parents,
+        ...(indexCommit ? ["-p", indexCommit] : []),
+        "-m",
+        message,
+      ],
+      CHECKPOINT_IDENTITY
+    )
+  ).trim();
+
+  await runGit(root, ["update-ref", `${CHECKPOINT_REF_PREFIX}${id}`, commit]);
+  if (maxCheckpoints) {
+    await pruneCheckpoints(root, maxCheckpoints);
+  }
+
+  return { ...metadata, commit };
+}
+
+/**
+ * Lists the checkpoints of a repository, newest first
+ * @param {string} repoPath - Path to the repository
+ * @returns {Promise<Object[]>} - Checkpoint metadata
+ */
+export async function listCheckpoints(repoPath) {
+  const output = await runGit(repoPath, [
+    "for-each-ref",
+    "--sort=-refname",
+    "--format=%(objectname)%00%(contents)%00",
+    CHECKPOINT_REF_PREFIX,
+  ]);
+
+  const fields = output.split("\0");
+  const checkpoints = [];
+  for (let i = 0; i + 1 < fields.length; i += 2) {
+    const commit = fields[i].replace(/^\n/, "");
+    const body = fields[i + 1];
+    const json = body.substring(body.indexOf("\n\n") + 2).trim();
+    try {
+      checkpoints.push({ ...JSON.parse(json), commit });
+    } catch (error) {
+      // Not a checkpoint written by this server
+    }
+  }
+  // Ids start with a millisecond timestamp; sort numerically
+  return checkpoints.sort((a, b) => parseInt(b.id) - parseInt(a.id));
+}
+
+/**
+ * Finds a checkpoint by id, or the most recent one
+ * @param {string} repoPath - Path to the repository
+ * @param {string} [id] - Checkpoint id (default: most recent)
+ * @returns {Promise<Object>} - Checkpoint metadata
+ */
+export async function getCheckpoint(repoPath, id) {
+  const checkpoints = await listCheckpoints(repoPath);
+  const checkpoint = id
+    ? checkpoints.find((item) => item.id === id)
+    : checkpoints[0];
+  if (!checkpoint) {
+    throw new Error(id ? `Checkpoint not found: ${id}` : "No checkpoints recorded");
+  }
+  return checkpoint;
+}
+
+/**
+ * Deletes the oldest checkpoints beyond the retention limit
+ * @param {string} repoPath - Path to the repository
+ * @param {number} maxCheckpoints - Number of checkpoints to keep
+ */
+async function pruneCheckpoints(repoPath, maxCheckpoints) {
+  const checkpoints = await listCheckpoints(repoPath);
+  for (const checkpoint of checkpoints.slice(maxCheckpoints)) {
+    await runGit(repoPath, [
+      "update-ref",
+      "-d",
+      `${CHECKPOINT_REF_PREFIX}${checkpoint.id}`,
+    ]);
+  }
+}
+
+/**
+ * Diffs a checkpoint's working tree snapshot against the current working tree
+ * @param {string} repoPath - Path to the repository
+ * @param {Object} checkpoint - Checkpoint metadata
+ * @param {boolean} patch - Whether to include the patch instead of a stat
+ * @returns {Promise<string>} - Diff output
+ */
+export async function diffCheckpoint(repoPath, checkpoint, patch = false) {
+  const root = (await runGit(repoPath, ["rev-parse", "--show-toplevel"])).trim();
+  const head = await tryGit(root, ["rev-parse", "--verify", "--quiet", "HEAD"]);
+  const current = await snapshotWorkingTree(root, head);
+  return runGit(root, [
+    "diff",
+    patch ? "--patch" : "--stat",
+    checkpoint.worktree_tree,
+    current,
+  ]);
+}
+
+/**
+ * Restores a repository to a checkpoint: refs, HEAD, stash entries, the
+ * working tree and the index. The caller should record a checkpoint first
+ * so the restore itself can be undone.
+ * @param {string} repoPath - Path to the repository
+ * @param {Object} checkpoint - Checkpoint metadata
+ * @returns {Promise<Object>} - Summary of what was restored
+ */
+export async function restoreCheckpoint(repoPath, checkpoint) {
+  const root = (await runGit(repoPath, ["rev-parse", "--show-toplevel"])).trim();
+
+  // Leave any merge, rebase, cherry-pick or revert in progress without touching HEAD
+  for (const command of ["merge", "rebase", "cherry-pick", "revert"]) {
+    await tryGit(root, [command, "--quit"]);
+  }
+
+  // Refs: reset moved ones, recreate deleted ones, delete new ones
+  const current = await listRefs(root, ["refs/heads", "refs/tags"]);
+  const changedRefs = [];
+  for (const [ref, sha] of Object.entries(checkpoint.refs)) {
+    if (current[ref] !== sha) {
+      await runGit(root, ["update-ref", "--no-deref", ref, sha]);
+      changedRefs.push(ref);
+    }
+  }
+  for (const ref of Object.keys(current)) {
+    if (!(ref in checkpoint.refs)) {
+      await runGit(root, ["update-ref", "--no-deref", "-d", ref]);
+      changedRefs.push(ref);
+    }
+  }
+
+  // HEAD: back onto its branch, or detached at the recorded commit
+  if (checkpoint.head_ref) {
+    await runGit(root, ["symbolic-ref", "HEAD", checkpoint.head_ref]);
+  } else if (checkpoint.head) {
+    await runGit(root, ["update-ref", "--no-deref", "HEAD", checkpoint.head]);
+  }
+
+  // Working tree: make the index describe the current files, then switch to
+  // the snapshot so files created since the checkpoint are removed too
+  const head = await tryGit(root, ["rev-parse", "--verify", "--quiet", "HEAD"]);
+  const currentTree = await snapshotWorkingTree(root, head);
+  await runGit(root, ["read-tree", currentTree]);
+  await runGit(root, ["read-tree", "--reset", "-u", checkpoint.worktree_tree]);
+
+  // Index: back to what was staged (untracked files become untracked again)
+  if (checkpoint.index_tree) {
+    await runGit(root, ["read-tree", checkpoint.index_tree]);
+  } else if (head) {
+    await runGit(root, ["read-tree", head]);
+  }
+
+  // Stash entries dropped since the checkpoint, oldest first
+  const stashOutput = await tryGit(root, ["log", "-g", "--format=%H", "refs/stash"]);
+  const currentStashes = (stashOutput || "").split("\n").filter(Boolean);
+  const restoredStashes = [];
+  for (const stash of [...(checkpoint.stashes || [])].reverse()) {
+    if (!currentStashes.includes(stash.sha)) {
+      await runGit(root, ["stash", "store", "-m", stash.message, stash.sha]);
+      restoredStashes.push(stash.sha);
+    }
+  }
+
+  return {
+    head: checkpoint.head,
+    head_ref: checkpoint.head_ref,
+    changed_refs: changedRefs,
+    restored_stashes: restoredStashes,
+  };
+}
@@ -0,0 +1,260 @@
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { LockTimeoutError, withRepoLock } from "./locks.js";
+
+// Clones of repo_url tools are directories in the temp directory with this prefix
+const CLONE_PREFIX = "github_tools_";
+
+// Metadata of a cached clone, kept in its .git directory so it is removed
+// together with the clone
+const METADATA_FILE = "mcp-cache.json";
+
+// Walking a large clone is slow; its size is measured again after a fetch
+// only when the last measurement is older than this
+const SIZE_MEASURE_INTERVAL = 5 * 60 * 1000;
+
+// Limits of the running server (see configureCache); null means no limit
+let limits = {
+  maxSizeBytes: null,
+  maxAgeMs: null,
+};
+
+/**
+ * Sets the limits of the clone cache
+ * @param {Object} options - Cache limits
+ * @param {number} [options.maxSizeMb] - Maximum total size of all clones in MB (0 or null: no limit)
+ * @param {number} [options.maxAgeHours] - Clones unused for longer are evicted (0 or null: no limit)
+ */
+export function configureCache({ maxSizeMb = null, maxAgeHours = null } = {}) {
+  limits = {
+    maxSizeBytes: maxSizeMb ? maxSizeMb * 1024 * 1024 : null,
+    maxAgeMs: maxAgeHours ? maxAgeHours * 60 * 60 * 1000 : null,
+  };
+}
+
+/**
+ * Returns the limits of the clone cache
+ * @returns {Object} - `{ maxSizeBytes, maxAgeMs }`
+ */
+export function cacheLimits() {
+  return { ...limits };
+}
+
+/**
+ * Directory holding the clone of a repository URL
+ * @param {string} remoteUrl - Repository URL without credentials
+ * @returns {string} - Clone directory
+ */
+export function cloneDirectory(remoteUrl) {
+  // Deterministic directory name based on the repo URL
+  const repoHash = crypto
+    .createHash("sha256")
+    .update(remoteUrl)
+    .digest("hex")
+    .slice(0, 12);
+  return path.join(os.tmpdir(), `${CLONE_PREFIX}${repoHash}`);
+}
+
+/**
+ * Sums the sizes of all files below a directory (symlinks are not followed)
+ * @param {string} dirPath - Directory to measure
+ * @returns {Promise<number>} - Size in bytes
+ */
+async function directorySize(dirPath) {
+  let size = 0;
+  for (const entry of await fs.readdir(dirPath, { withFileTypes: true })) {
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      size += await directorySize(entryPath);
+    } else {
+      size += (await fs.lstat(entryPath)).size;
+    }
+  }
+  return size;
+}
+
+/**
+ * Reads the metadata of a cached clone. Clones made before the cache kept
+ * metadata get it from the directory itself.
+ * @param {string} clonePath - Clone directory
+ * @returns {Promise<Object>} - Clone metadata
+ */
+async function readMetadata(clonePath) {
+  const metadataPath = path.join(clonePath, ".git", METADATA_FILE);
+  try {
+    return await fs.readJson(metadataPath);
+  } catch (error) {
+    const stats = await fs.stat(clonePath);
+    return {
+      url: null,
+      created_at: stats.birthtime.toISOString(),
+      last_access: stats.mtime.toISOString(),
+      last_fetch: null,
+      size_bytes: null,
+      size_measured_at: null,
+    };
+  }
+}
+
+/**
+ * Writes the metadata of a cached clone
+ * @param {string} clonePath - Clone directory
+ * @param {Object} metadata - Clone metadata
+ */
+async function writeMetadata(clonePath, metadata) {
+  await fs.writeJson(path.join(clonePath, ".git", METADATA_FILE), metadata, {
+    spaces: 2,
+  });
+}
+
+/**
+ * Records the use of a cached clone: its last access, and after a clone or
+ * fetch the fetch time and (if the last measurement is old) its size
+ * @param {string} clonePath - Clone directory
+ * @param {string} remoteUrl - Repository URL without credentials
+ * @param {Object} [options] - What happened to the clone
+ * @param {boolean} [options.fetched] - Whether the clone was just created or fetched
+ */
+export async function recordCloneUse(clonePath, remoteUrl, { fetched = false } = {}) {
+  const metadata = await readMetadata(clonePath);
+  const now = new Date();
+
+  metadata.url = remoteUrl;
+  metadata.last_access = now.toISOString();
+  if (fetched) {
+    metadata.last_fetch = now.toISOString();
+  }
+  const measuredAt = metadata.size_measured_at
+    ? Date.parse(metadata.size_measured_at)
+    : 0;
+  if (
+    metadata.size_bytes === null ||
+    (fetched && now.getTime() - measuredAt > SIZE_MEASURE_INTERVAL)
+  ) {
+    metadata.size_bytes = await directorySize(clonePath);
+    metadata.size_measured_at = now.toISOString();
+  }
+
+  await writeMetadata(clonePath, metadata);
+}
+
+/**
+ * Tells how long ago a cached clone was last fetched
+ * @param {string} clonePath - Clone directory
+ * @returns {Promise<Object>} - `{ last_fetch, age_seconds }` (null when never fetched)
+ */
+export async function cloneFreshness(clonePath) {
+  const metadata = await readMetadata(clonePath);
+  return {
+    last_fetch: metadata.last_fetch,
+    age_seconds: metadata.last_fetch
+      ? Math.floor((Date.now() - Date.parse(metadata.last_fetch)) / 1000)
+      : null,
+  };
+}
+
+/**
+ * Lists the cached clones, most recently used first
+ * @returns {Promise<Object[]>} - Clones with path, URL, size and access times
+ */
+export async function listClones() {
+  const entries = await fs.readdir(os.tmpdir(), { withFileTypes: true });
+  const clones = [];
+
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !entry.name.startsWith(CLONE_PREFIX)) continue;
+    const clonePath = path.join(os.tmpdir(), entry.name);
+    try {
+      const metadata = await readMetadata(clonePath);
+      if (metadata.size_bytes === null) {
+        metadata.size_bytes = await directorySize(clonePath);
+      }
+      clones.push({
+        path: clonePath,
+        url: metadata.url,
+        size_bytes: metadata.size_bytes,
+        created_at: metadata.created_at,
+        last_access: metadata.last_access,
+        last_fetch: metadata.last_fetch,
+      });
+    } catch (error) {
+      // Removed while listing
+      continue;
+    }
+  }
+
+  return clones.sort(
+    (a, b) => Date.parse(b.last_access) - Date.parse(a.last_access)
+  );
+}
+
+/**
+ * Finds the cached clone of a repository URL
+ * @param {string} remoteUrl - Repository URL without credentials
+ * @returns {Promise<Object|null>} - Clone, or null if it is not cached
+ */
+export async function findClone(remoteUrl) {
+  const clonePath = cloneDirectory(remoteUrl);
+  const clones = await listClones();
+  return clones.find((clone) => clone.path === clonePath) || null;
+}
+
+/**
+ * Removes a cached clone once no call is using it
+ * @param {string} clonePath - Clone directory
+ * @param {Object} [options] - Eviction options
+ * @param {boolean} [options.wait] - Wait for calls using the clone (otherwise
+ *   a clone in use is not evicted and a LockTimeoutError is thrown)
+ */
+export async function evictClone(clonePath, { wait = true } = {}) {
+  const base = path.basename(clonePath);
+  if (path.dirname(clonePath) !== os.tmpdir() || !base.startsWith(CLONE_PREFIX)) {
+    throw new Error(`Not a cached clone: ${clonePath}`);
+  }
+  await withRepoLock(clonePath, "exclusive", () => fs.remove(clonePath), {
+    owner: "clone cache eviction",
+    ...(!wait && { timeoutMs: 0 }),
+  });
+}
+
+/**
+ * Evicts clones unused for longer than the maximum age, then the least
+ * recently used clones until the cache fits the maximum size
+ * @param {string[]} [keep] - Clones that must not be evicted (e.g. the one in use)
+ * @returns {Promise<Object[]>} - Evicted clones
+ */
+export async function enforceCacheLimits(keep = []) {
+  if (limits.maxSizeBytes === null && limits.maxAgeMs === null) {
+    return [];
+  }
+
+  // Least recently used first
+  const clones = (await listClones()).reverse();
+  const evicted = [];
+  const now = Date.now();
+
+  let totalSize = clones.reduce((sum, clone) => sum + clone.size_bytes, 0);
+  for (const clone of clones) {
+    if (keep.includes(clone.path)) continue;
+    const expired =
+      limits.maxAgeMs !== null &&
+      now - Date.parse(clone.last_access) > limits.maxAgeMs;
+    const oversized =
+      limits.maxSizeBytes !== null && totalSize > limits.maxSizeBytes;
+    if (expired || oversized) {
+      try {
+        await evictClone(clone.path, { wait: false });
+      } catch (error) {
+        // In use by another call; evicted by a later check
+        if (error instanceof LockTimeoutError) continue;
+        throw error;
+      }
+      totalSize -= clone.size_bytes;
+      evicted.push(clone);
+    }
+  }
+
+  return evicted;
+}
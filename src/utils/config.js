@@ -0,0 +1,297 @@
+import fs from "fs-extra";
+import path from "path";
+import { DEFAULT_AUDIT_LOG } from "./audit.js";
+
+/**
+ * Default server configuration
+ */
+export const DEFAULT_CONFIG = {
+  transport: "stdio",
+  host: "127.0.0.1",
+  port: 3000,
+  // Directories repo_path arguments must stay inside (empty allows any path)
+  allowedRoots: [],
+  // Tool categories to list and dispatch (null enables all)
+  categories: null,
+  // Only enable the read category
+  readOnly: false,
+  // Ask before running destructive operations (hard reset, force push, ...)
+  confirmDestructive: true,
+  // Record a checkpoint before each mutating tool call
+  checkpoints: true,
+  // Checkpoints kept per repository; older ones are deleted
+  maxCheckpoints: 50,
+  // JSONL file every tool invocation is appended to (null disables it)
+  auditLog: DEFAULT_AUDIT_LOG,
+  // Let git_audit_log return the entries of every session, not only the
+  // caller's own
+  auditLogAllSessions: false,
+  // Credentials for repo_url clones: per-host tokens (`hosts`), sshKey,
+  // knownHosts, strictHostKeyChecking and credentialHelper
+  credentials: {},
+  // Total size (MB) of the clones kept for repo_url tools (0: no limit)
+  cacheMaxSizeMb: 5120,
+  // Clones unused for longer (hours) are evicted (0: no limit)
+  cacheMaxAgeHours: 168,
+  // Seconds a cached clone is used without fetching it again
+  refreshTtlSeconds: 60,
+  // Never fetch; repo_url tools only use clones already in the cache
+  offline: false,
+  // Seconds a tool call waits for another call's lock on the same repository
+  lockTimeoutSeconds: 60,
+};
+
+/**
+ * Parses command line flags of the form `--name value`, `--name=value` or `--flag`
+ * @param {string[]} argv - Command line arguments (without node and script path)
+ * @returns {Object} - Map of flag name to value (true for bare flags)
+ */
+function parseArgs(argv) {
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) continue;
+
+    const equalsIndex = arg.indexOf("=");
+    if (equalsIndex !== -1) {
+      flags[arg.substring(2, equalsIndex)] = arg.substring(equalsIndex + 1);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+      flags[arg.substring(2)] = argv[++i];
+    } else {
+      flags[arg.substring(2)] = true;
+    }
+  }
+
+  return flags;
+}
+
+/**
+ * Splits a list of paths separated by the platform path delimiter
+ * @param {string} value - Delimited path list
+ * @returns {string[]} - Non-empty paths
+ */
+function splitPaths(value) {
+  return value.split(path.delimiter).filter(Boolean);
+}
+
+/**
+ * Splits a comma separated list
+ * @param {string} value - Comma separated values
+ * @returns {string[]} - Trimmed, non-empty values
+ */
+function splitList(value) {
+  return value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parses a boolean environment variable value
+ * @param {string} value - Value such as "1", "true" or "no"
+ * @returns {boolean} - True for "1", "true" and "yes"
+ */
+function parseBoolean(value) {
+  return ["1", "true", "yes"].includes(value.toLowerCase());
+}
+
+/**
+ * Loads the server configuration. Later sources override earlier ones:
+ * defaults, the JSON config file (`--config` or GIT_MCP_CONFIG), environment
+ * variables, then command line flags.
+ * @param {string[]} argv - Command line arguments (default: process arguments)
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {Promise<Object>} - Resolved configuration
+ */
+export async function loadConfig(argv = process.argv.slice(2), env = process.env) {
+  const flags = parseArgs(argv);
+
+  const configPath = flags.config || env.GIT_MCP_CONFIG;
+  const fileConfig = configPath ? await fs.readJson(configPath) : {};
+
+  const config = { ...DEFAULT_CONFIG, ...fileConfig, configPath };
+
+  // Relative roots in the config file are relative to the file itself
+  if (configPath && fileConfig.allowedRoots) {
+    config.allowedRoots = fileConfig.allowedRoots.map((root) =>
+      path.resolve(path.dirname(configPath), root)
+    );
+  }
+  if (configPath && fileConfig.auditLog) {
+    config.auditLog = path.resolve(path.dirname(configPath), fileConfig.auditLog);
+  }
+  config.credentials = { ...(fileConfig.credentials || {}) };
+  if (configPath) {
+    const resolve = (file) => path.resolve(path.dirname(configPath), file);
+    for (const key of ["sshKey", "knownHosts"]) {
+      if (config.credentials[key]) {
+        config.credentials[key] = resolve(config.credentials[key]);
+      }
+    }
+    config.credentials.hosts = Object.fromEntries(
+      Object.entries(config.credentials.hosts || {}).map(([host, entry]) => [
+        host,
+        entry.sshKey ? { ...entry, sshKey: resolve(entry.sshKey) } : entry,
+      ])
+    );
+  }
+
+  // Environment variables
+  if (env.GIT_MCP_TRANSPORT) config.transport = env.GIT_MCP_TRANSPORT;
+  if (env.GIT_MCP_HOST) config.host = env.GIT_MCP_HOST;
+  if (env.GIT_MCP_PORT) config.port = env.GIT_MCP_PORT;
+  if (env.GIT_MCP_ALLOWED_ROOTS) {
+    config.allowedRoots = splitPaths(env.GIT_MCP_ALLOWED_ROOTS);
+  }
+  if (env.GIT_MCP_CATEGORIES) {
+    config.categories = splitList(env.GIT_MCP_CATEGORIES);
+  }
+  if (env.GIT_MCP_READ_ONLY) {
+    config.readOnly = parseBoolean(env.GIT_MCP_READ_ONLY);
+  }
+  if (env.GIT_MCP_CONFIRM_DESTRUCTIVE) {
+    config.confirmDestructive = parseBoolean(env.GIT_MCP_CONFIRM_DESTRUCTIVE);
+  }
+  if (env.GIT_MCP_CHECKPOINTS) {
+    config.checkpoints = parseBoolean(env.GIT_MCP_CHECKPOINTS);
+  }
+  if (env.GIT_MCP_MAX_CHECKPOINTS) {
+    config.maxCheckpoints = env.GIT_MCP_MAX_CHECKPOINTS;
+  }
+  if (env.GIT_MCP_AUDIT_LOG) {
+    config.auditLog = env.GIT_MCP_AUDIT_LOG;
+  }
+  if (env.GIT_MCP_AUDIT_LOG_ALL_SESSIONS) {
+    config.auditLogAllSessions = parseBoolean(env.GIT_MCP_AUDIT_LOG_ALL_SESSIONS);
+  }
+  if (env.GIT_MCP_CACHE_MAX_SIZE_MB) {
+    config.cacheMaxSizeMb = env.GIT_MCP_CACHE_MAX_SIZE_MB;
+  }
+  if (env.GIT_MCP_CACHE_MAX_AGE_HOURS) {
+    config.cacheMaxAgeHours = env.GIT_MCP_CACHE_MAX_AGE_HOURS;
+  }
+  if (env.GIT_MCP_REFRESH_TTL) {
+    config.refreshTtlSeconds = env.GIT_MCP_REFRESH_TTL;
+  }
+  if (env.GIT_MCP_OFFLINE) {
+    config.offline = parseBoolean(env.GIT_MCP_OFFLINE);
+  }
+  if (env.GIT_MCP_LOCK_TIMEOUT) {
+    config.lockTimeoutSeconds = env.GIT_MCP_LOCK_TIMEOUT;
+  }
+  // Tokens are read per host from GIT_MCP_TOKEN_<HOST> when a clone needs them
+  if (env.GIT_MCP_SSH_KEY) config.credentials.sshKey = env.GIT_MCP_SSH_KEY;
+  if (env.GIT_MCP_KNOWN_HOSTS) {
+    config.credentials.knownHosts = env.GIT_MCP_KNOWN_HOSTS;
+  }
+  if (env.GIT_MCP_STRICT_HOST_KEY_CHECKING) {
+    config.credentials.strictHostKeyChecking =
+      env.GIT_MCP_STRICT_HOST_KEY_CHECKING;
+  }
+  if (env.GIT_MCP_CREDENTIAL_HELPER) {
+    config.credentials.credentialHelper = env.GIT_MCP_CREDENTIAL_HELPER;
+  }
+
+  // Command line flags
+  if (flags.transport) config.transport = flags.transport;
+  if (flags.host) config.host = flags.host;
+  if (flags.port) config.port = flags.port;
+  if (typeof flags["allowed-roots"] === "string") {
+    config.allowedRoots = splitPaths(flags["allowed-roots"]);
+  }
+  if (typeof flags.categories === "string") {
+    config.categories = splitList(flags.categories);
+  }
+  if (flags["read-only"]) {
+    config.readOnly = true;
+  }
+  if (flags["no-confirm"]) {
+    config.confirmDestructive = false;
+  }
+  if (flags["no-checkpoints"]) {
+    config.checkpoints = false;
+  }
+  if (flags["max-checkpoints"]) {
+    config.maxCheckpoints = flags["max-checkpoints"];
+  }
+  if (typeof flags["audit-log"] === "string") {
+    config.auditLog = flags["audit-log"];
+  }
+  if (flags["no-audit-log"]) {
+    config.auditLog = null;
+  }
+  if (flags["audit-log-all-sessions"]) {
+    config.auditLogAllSessions = true;
+  }
+  if (flags["cache-max-size-mb"]) {
+    config.cacheMaxSizeMb = flags["cache-max-size-mb"];
+  }
+  if (flags["cache-max-age-hours"]) {
+    config.cacheMaxAgeHours = flags["cache-max-age-hours"];
+  }
+  if (flags["refresh-ttl"]) {
+    config.refreshTtlSeconds = flags["refresh-ttl"];
+  }
+  if (flags.offline) {
+    config.offline = true;
+  }
+  if (flags["lock-timeout"]) {
+    config.lockTimeoutSeconds = flags["lock-timeout"];
+  }
+  if (typeof flags["ssh-key"] === "string") {
+    config.credentials.sshKey = flags["ssh-key"];
+  }
+  if (typeof flags["known-hosts"] === "string") {
+    config.credentials.knownHosts = flags["known-hosts"];
+  }
+  if (typeof flags["credential-helper"] === "string") {
+    config.credentials.credentialHelper = flags["credential-helper"];
+  }
+
+  if (!["stdio", "http"].includes(config.transport)) {
+    throw new Error(
+      `Invalid transport: ${config.transport}. Use 'stdio' or 'http'.`
+    );
+  }
+
+  const port = Number(config.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port: ${config.port}`);
+  }
+  config.port = port;
+
+  const maxCheckpoints = Number(config.maxCheckpoints);
+  if (!Number.isInteger(maxCheckpoints) || maxCheckpoints < 1) {
+    throw new Error(`Invalid max checkpoints: ${config.maxCheckpoints}`);
+  }
+  config.maxCheckpoints = maxCheckpoints;
+
+  for (const key of ["cacheMaxSizeMb", "cacheMaxAgeHours", "refreshTtlSeconds"]) {
+    const value = Number(config[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid ${key}: ${config[key]}`);
+    }
+    config[key] = value;
+  }
+
+  const lockTimeout = Number(config.lockTimeoutSeconds);
+  if (!Number.isFinite(lockTimeout) || lockTimeout <= 0) {
+    throw new Error(`Invalid lock timeout: ${config.lockTimeoutSeconds}`);
+  }
+  config.lockTimeoutSeconds = lockTimeout;
+
+  // "off" (or false in the config file) disables the audit log
+  if (!config.auditLog || ["off", "false", "0"].includes(String(config.auditLog))) {
+    config.auditLog = null;
+  }
+
+  const strict = config.credentials.strictHostKeyChecking;
+  if (strict && !["yes", "accept-new", "no"].includes(strict)) {
+    throw new Error(
+      `Invalid strictHostKeyChecking: ${strict}. Use 'yes', 'accept-new' or 'no'.`
+    );
+  }
+
+  return config;
+}
@@ -0,0 +1,227 @@
+// Default user name sent with a token over HTTPS (GitHub ignores it,
+// Gitea and Bitbucket accept any non-empty name)
+const DEFAULT_TOKEN_USERNAME = "x-access-token";
+
+// Credential settings of the running server (see configureCredentials)
+let settings = {
+  hosts: {},
+  sshKey: null,
+  knownHosts: null,
+  strictHostKeyChecking: null,
+  credentialHelper: null,
+  env: process.env,
+};
+
+// Secret values that must never appear in output, longest first
+let secrets = [];
+
+/**
+ * Sets the credentials used for repository URLs
+ * @param {Object} options - Credential settings
+ * @param {Object} [options.hosts] - Per-host settings keyed by host (or host:port):
+ *   `{ token, tokenEnv, username, sshKey }`
+ * @param {string} [options.sshKey] - Default SSH private key
+ * @param {string} [options.knownHosts] - known_hosts file for SSH
+ * @param {string} [options.strictHostKeyChecking] - yes, accept-new or no
+ * @param {string} [options.credentialHelper] - Git credential helper to use for clones
+ * @param {Object} [env] - Environment to read tokens from (default: process.env)
+ */
+export function configureCredentials(options = {}, env = process.env) {
+  settings = {
+    hosts: options.hosts || {},
+    sshKey: options.sshKey || null,
+    knownHosts: options.knownHosts || null,
+    strictHostKeyChecking: options.strictHostKeyChecking || null,
+    credentialHelper: options.credentialHelper || null,
+    env: env,
+  };
+
+  // Every token that may be used, so it can be scrubbed from any output
+  const values = Object.keys(settings.hosts).map((host) => hostToken(host));
+  for (const [name, value] of Object.entries(env)) {
+    if (name.startsWith("GIT_MCP_TOKEN_") && value) {
+      values.push(value);
+    }
+  }
+  secrets = [...new Set(values.filter(Boolean))].sort(
+    (a, b) => b.length - a.length
+  );
+}
+
+/**
+ * Adds a value to the secrets scrubbed from output
+ * @param {string} secret - Secret value
+ */
+function addSecret(secret) {
+  if (secret && !secrets.includes(secret)) {
+    secrets = [...secrets, secret].sort((a, b) => b.length - a.length);
+  }
+}
+
+/**
+ * Name of the environment variable holding a host's token,
+ * e.g. GIT_MCP_TOKEN_GITHUB_COM for github.com
+ * @param {string} host - Host name (or host:port)
+ * @returns {string} - Environment variable name
+ */
+export function tokenEnvName(host) {
+  return `GIT_MCP_TOKEN_${host.toUpperCase().replace(/[^A-Z0-9]/g, "_")}`;
+}
+
+/**
+ * Looks up the token for a host: the config entry's token, the variable
+ * named by its tokenEnv, then GIT_MCP_TOKEN_<HOST>
+ * @param {string} host - Host name (or host:port)
+ * @returns {string|null} - Token, or null if none is configured
+ */
+function hostToken(host) {
+  const entry = settings.hosts[host] || {};
+  return (
+    entry.token ||
+    (entry.tokenEnv && settings.env[entry.tokenEnv]) ||
+    settings.env[tokenEnvName(host)] ||
+    null
+  );
+}
+
+/**
+ * Splits a repository URL into transport, host and user info
+ * @param {string} repoUrl - Repository URL
+ * @returns {Object|null} - `{ protocol, host, hostname, userinfo }`, or null for local paths
+ */
+export function parseRepoUrl(repoUrl) {
+  const url = repoUrl.match(/^([a-z][a-z0-9+.-]*):\/\/(?:([^@/]*)@)?([^/:]+)(?::(\d+))?/i);
+  if (url) {
+    const protocol = url[1].toLowerCase();
+    if (protocol === "file") {
+      return null;
+    }
+    return {
+      protocol,
+      userinfo: url[2] || null,
+      hostname: url[3],
+      host: url[4] ? `${url[3]}:${url[4]}` : url[3],
+    };
+  }
+
+  // scp-like syntax: [user@]host:path
+  const scp = repoUrl.match(/^(?:([^@/]+)@)?([^/:]+):(?!\/\/)/);
+  if (scp && !/^[a-z]:\\/i.test(repoUrl)) {
+    return { protocol: "ssh", userinfo: scp[1] || null, hostname: scp[2], host: scp[2] };
+  }
+
+  return null;
+}
+
+/**
+ * Removes user info with a password or token from a URL. SSH user names
+ * such as git@ carry no secret and are kept.
+ * @param {string} repoUrl - Repository URL
+ * @returns {string} - URL without embedded credentials
+ */
+export function stripUrlCredentials(repoUrl) {
+  return repoUrl.replace(/^([a-z][a-z0-9+.-]*:\/\/)([^@/]*)@/i, (match, scheme, userinfo) =>
+    /^(https?|ftps?):\/\//i.test(scheme) || userinfo.includes(":")
+      ? scheme
+      : match
+  );
+}
+
+/**
+ * Replaces known secrets and URL credentials in text (error messages, logs)
+ * @param {string} text - Text to scrub
+ * @returns {string} - Text with secrets replaced by ***
+ */
+export function scrubSecrets(text) {
+  if (typeof text !== "string") {
+    return text;
+  }
+  let scrubbed = text.replace(/([a-z][a-z0-9+.-]*:\/\/)[^/@\s'"]+@/gi, "$1***@");
+  for (const secret of secrets) {
+    scrubbed = scrubbed.split(secret).join("***");
+  }
+  return scrubbed;
+}
+
+/**
+ * Quotes a value for the shell that runs GIT_SSH_COMMAND
+ * @param {string} value - Value to quote
+ * @returns {string} - Single-quoted value
+ */
+function shellQuote(value) {
+  return `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Builds the environment for git commands that talk to a repository URL:
+ * an Authorization header for HTTPS hosts with a token (passed through
+ * GIT_CONFIG_* variables, so it is neither on the command line nor in the
+ * clone's config), GIT_SSH_COMMAND for SSH, and the credential helper
+ * @param {string} repoUrl - Repository URL
+ * @returns {Object} - Environment variables to add to process.env
+ */
+export function credentialEnv(repoUrl) {
+  const env = { GIT_TERMINAL_PROMPT: "0" };
+  const parsed = parseRepoUrl(repoUrl);
+  if (!parsed) {
+    return env;
+  }
+
+  const entry = settings.hosts[parsed.host] || settings.hosts[parsed.hostname] || {};
+  const configs = [];
+
+  if (parsed.protocol === "http" || parsed.protocol === "https") {
+    // Credentials embedded in the URL take precedence over configured ones
+    let username = entry.username || DEFAULT_TOKEN_USERNAME;
+    let token = hostToken(parsed.host) || hostToken(parsed.hostname);
+    if (parsed.userinfo) {
+      // "user:password", or a bare token as in https://<token>@github.com/
+      const [user, ...password] = parsed.userinfo.split(":");
+      username = decodeURIComponent(user);
+      token = decodeURIComponent(password.join(":"));
+      addSecret(token || username);
+    }
+    if (token || parsed.userinfo) {
+      const basic = Buffer.from(`${username}:${token}`).toString("base64");
+      // The encoded header is as good as the token (e.g. in GIT_TRACE output)
+      addSecret(basic);
+      configs.push([
+        `http.${parsed.protocol}://${parsed.host}/.extraHeader`,
+        `Authorization: Basic ${basic}`,
+      ]);
+    }
+  }
+
+  if (parsed.protocol === "ssh" || parsed.protocol === "git+ssh") {
+    const sshKey = entry.sshKey || settings.sshKey;
+    const options = ["-o", "BatchMode=yes"];
+    if (sshKey) {
+      options.push("-i", shellQuote(sshKey), "-o", "IdentitiesOnly=yes");
+    }
+    if (settings.knownHosts) {
+      options.push("-o", shellQuote(`UserKnownHostsFile=${settings.knownHosts}`));
+    }
+    if (settings.strictHostKeyChecking) {
+      options.push("-o", `StrictHostKeyChecking=${settings.strictHostKeyChecking}`);
+    }
+    env.GIT_SSH_COMMAND = `ssh ${options.join(" ")}`;
+  }
+
+  if (settings.credentialHelper) {
+    // An empty value first resets helpers from the user's git config
+    configs.push(["credential.helper", ""]);
+    configs.push(["credential.helper", settings.credentialHelper]);
+  }
+
+  // Append to any GIT_CONFIG_* entries the server itself was started with
+  const offset = Number(settings.env.GIT_CONFIG_COUNT) || 0;
+  configs.forEach(([key, value], index) => {
+    env[`GIT_CONFIG_KEY_${offset + index}`] = key;
+    env[`GIT_CONFIG_VALUE_${offset + index}`] = value;
+  });
+  if (configs.length > 0) {
+    env.GIT_CONFIG_COUNT = String(offset + configs.length);
+  }
+
+  return env;
+}
@@ -0,0 +1,49 @@
+import { createHash } from "crypto";
+
+/**
+ * Fingerprint of the arguments that decide what a listing holds
+ * @param {Object} query - Listing arguments
+ * @returns {string} - Short hash of the arguments
+ */
+function fingerprint(query) {
+  return createHash("sha1")
+    .update(JSON.stringify(query))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/**
+ * Creates an opaque cursor to continue a listing where a page ended. The
+ * cursor carries a fingerprint of the listing's arguments, so it cannot
+ * continue a different listing.
+ * @param {Object} query - Arguments that decide the listing
+ * @param {*} position - Where the next page starts (e.g. the index of its
+ *   first entry); any JSON value
+ * @returns {string} - Cursor
+ */
+export function encodeCursor(query, position) {
+  return Buffer.from(
+    JSON.stringify({ q: fingerprint(query), p: position })
+  ).toString("base64url");
+}
+
+/**
+ * Reads the position of a cursor from encodeCursor
+ * @param {string} cursor - Cursor
+ * @param {Object} query - Arguments of the listing being continued
+ * @returns {*} - Position, or null if the cursor is malformed or belongs
+ *   to a different listing
+ */
+export function decodeCursor(cursor, query) {
+  try {
+    const { q, p } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    if (q === fingerprint(query) && p !== undefined) {
+      return p;
+    }
+  } catch (error) {
+    // Not a cursor of ours
+  }
+  return null;
+}
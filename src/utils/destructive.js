@@ -0,0 +1,219 @@
+import { simpleGit } from "simple-git";
+
+// Maximum number of commits or files listed in a preview
+const PREVIEW_LIMIT = 50;
+
+/**
+ * Lists commits matching `git log` arguments
+ * @param {Object} git - simple-git instance
+ * @param {string[]} logArgs - Revision arguments for git log
+ * @returns {Promise<Object[]>} - Commits with hash and subject
+ */
+async function listCommits(git, logArgs) {
+  const output = await git.raw([
+    "log",
+    "--format=%H%x09%s",
+    `--max-count=${PREVIEW_LIMIT}`,
+    ...logArgs,
+  ]);
+  return output
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const [hash, ...subject] = line.split("\t");
+      return { hash, subject: subject.join("\t") };
+    });
+}
+
+/**
+ * Resolves a revision from the tool arguments to a commit, so only a
+ * commit hash reaches the preview's git commands
+ * @param {Object} git - simple-git instance
+ * @param {string} revision - Branch, tag or commit
+ * @returns {Promise<string>} - Commit hash
+ */
+async function resolveCommit(git, revision) {
+  // Never let a revision act as an option (e.g. --output, which writes a file)
+  if (String(revision).startsWith("-")) {
+    throw new Error(`Invalid revision: ${revision}`);
+  }
+  const output = await git.raw([
+    "rev-parse",
+    "--verify",
+    "--end-of-options",
+    `${revision}^{commit}`,
+  ]);
+  return output.trim();
+}
+
+/**
+ * Gets the branch HEAD points to
+ * @param {Object} git - simple-git instance
+ * @returns {Promise<string|null>} - Branch name, or null when HEAD is detached
+ */
+async function currentBranch(git) {
+  const output = await git.raw(["symbolic-ref", "--quiet", "--short", "HEAD"]);
+  return output.trim() || null;
+}
+
+/**
+ * Tool/argument combinations that destroy work. `applies` mirrors each
+ * handler's own argument defaults; `preview` reports what would be lost.
+ */
+export const DESTRUCTIVE_OPERATIONS = {
+  git_reset: {
+    applies: ({ mode = "mixed" }) => mode === "hard",
+    describe: ({ to = "HEAD" }) =>
+      `Hard reset to ${to} discards uncommitted changes to tracked files`,
+    preview: async ({ repo_path, to = "HEAD" }) => {
+      const git = simpleGit(repo_path);
+      const target = await resolveCommit(git, to);
+      const branch = await currentBranch(git);
+
+      // Commits only reachable from the branch being moved
+      const exclude = branch ? [`--exclude=${branch}`] : [];
+      const lostCommits = await listCommits(git, [
+        "HEAD",
+        "--not",
+        target,
+        ...exclude,
+        "--branches",
+        "--tags",
+        "--remotes",
+      ]);
+
+      const status = await git.status();
+      const discardedFiles = status.files
+        .filter((file) => file.index !== "?")
+        .map((file) => file.path);
+
+      return {
+        branch: branch,
+        unreachable_commits: lostCommits,
+        discarded_changes: discardedFiles,
+      };
+    },
+  },
+
+  git_push: {
+    applies: ({ force = false }) => force,
+    describe: ({ remote = "origin", branch }) =>
+      `Force push overwrites ${remote}/${branch || "<current branch>"}`,
+    preview: async ({ repo_path, remote = "origin", branch = null }) => {
+      const git = simpleGit(repo_path);
+      const localBranch = branch || (await currentBranch(git));
+      const trackingRef = `refs/remotes/${remote}/${localBranch}`;
+
+      // Based on the last fetch of the remote-tracking branch
+      const known = (
+        await git.raw(["rev-parse", "--verify", "--quiet", trackingRef])
+      ).trim();
+      const overwrittenCommits = known
+        ? await listCommits(git, [
+            known,
+            "--not",
+            await resolveCommit(git, localBranch),
+          ])
+        : [];
+
+      return {
+        branch: localBranch,
+        remote_ref: `${remote}/${localBranch}`,
+        overwritten_commits: overwrittenCommits,
+      };
+    },
+  },
+
+  git_clean: {
+    applies: ({ force = false, dry_run = true }) => force && !dry_run,
+    describe: () => "Clean permanently deletes untracked files",
+    preview: async ({ repo_path, directories = false }) => {
+      const git = simpleGit(repo_path);
+      const output = await git.raw([
+        "clean",
+        "--dry-run",
+        ...(directories ? ["-d"] : []),
+      ]);
+      const files = output
+        .split("\n")
+        .filter((line) => line.startsWith("Would remove"))
+        .map((line) => line.replace("Would remove ", "").trim());
+
+      return { deleted_files: files };
+    },
+  },
+
+  git_delete_branch: {
+    applies: ({ force = false }) => force,
+    describe: ({ branch_name }) =>
+      `Force deleting ${branch_name} drops commits that are not merged elsewhere`,
+    preview: async ({ repo_path, branch_name }) => {
+      const git = simpleGit(repo_path);
+      const ref = `refs/heads/${branch_name}`;
+
+      // Commits reachable only from the branch being deleted
+      const lostCommits = await listCommits(git, [
+        ref,
+        "--not",
+        `--exclude=${branch_name}`,
+        "--branches",
+        "--tags",
+        "--remotes",
+      ]);
+
+      return { branch: branch_name, unreachable_commits: lostCommits };
+    },
+  },
+
+  git_revert: {
+    applies: () => true,
+    describe: ({ commit }) => `Revert creates changes undoing ${commit}`,
+    preview: async ({ repo_path, commit }) => {
+      const git = simpleGit(repo_path);
+      const hash = await resolveCommit(git, commit);
+      const [reverted] = await listCommits(git, ["-1", hash]);
+      const files = await git.raw([
+        "diff-tree",
+        "--no-commit-id",
+        "--name-only",
+        "-r",
+        "--root",
+        hash,
+      ]);
+
+      return {
+        reverted_commit: reverted || null,
+        affected_files: files.split("\n").filter(Boolean),
+      };
+    },
+  },
+};
+
+/**
+ * Gets the destructive operation rule matching a tool call
+ * @param {string} name - Tool name (aliases already resolved)
+ * @param {Object} args - Tool arguments
+ * @returns {Object|null} - Matching rule, or null if the call is not destructive
+ */
+export function getDestructiveOperation(name, args = {}) {
+  const operation = DESTRUCTIVE_OPERATIONS[name];
+  return operation && operation.applies(args) ? operation : null;
+}
+
+/**
+ * Describes what a destructive tool call would lose
+ * @param {string} name - Tool name (aliases already resolved)
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Preview with a summary and operation details
+ */
+export async function previewDestructiveOperation(name, args = {}) {
+  const operation = DESTRUCTIVE_OPERATIONS[name];
+  const summary = operation.describe(args);
+
+  try {
+    return { summary, ...(await operation.preview(args)) };
+  } catch (error) {
+    // A failed preview must not block the confirmation itself
+    return { summary, preview_error: error.message };
+  }
+}
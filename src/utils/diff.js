@@ -0,0 +1,274 @@
+// Tree object of an empty repository, to diff root commits against
+export const EMPTY_TREE = "4b825dc642cb6eb9a060e54bf8d69288fbee4904";
+
+// Output formats of the diff-producing tools
+export const DIFF_FORMATS = ["structured", "patch", "stat"];
+
+// File status for each kind of extended header
+const STATUS_HEADERS = {
+  "new file mode": "added",
+  "deleted file mode": "deleted",
+  "rename from": "renamed",
+  "copy from": "copied",
+};
+
+/**
+ * Decodes a path git wrote in C-style quotes ("a/tab\there")
+ * @param {string} value - Possibly quoted path
+ * @returns {string} - Unquoted path
+ */
+function unquotePath(value) {
+  if (!value.startsWith('"') || !value.endsWith('"')) {
+    return value;
+  }
+
+  const escapes = { n: 10, t: 9, r: 13, b: 8, f: 12, a: 7, v: 11, '"': 34, "\\": 92 };
+  const bytes = [];
+  const body = value.slice(1, -1);
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] !== "\\") {
+      bytes.push(...Buffer.from(body[i]));
+      continue;
+    }
+    const next = body[++i];
+    if (/[0-7]/.test(next)) {
+      bytes.push(parseInt(body.substr(i, 3), 8));
+      i += 2;
+    } else {
+      bytes.push(escapes[next] ?? next.charCodeAt(0));
+    }
+  }
+  return Buffer.from(bytes).toString("utf8");
+}
+
+/**
+ * Strips the a/ or b/ prefix from a path in a diff header
+ * @param {string} value - Header path (possibly quoted, or /dev/null)
+ * @returns {string|null} - Repository path, or null for /dev/null
+ */
+function headerPath(value) {
+  const unquoted = unquotePath(value.replace(/\t$/, ""));
+  if (unquoted === "/dev/null") {
+    return null;
+  }
+  return unquoted.replace(/^[ab]\//, "");
+}
+
+/**
+ * Reads the two paths of a `diff --git a/<old> b/<new>` line. Unquoted
+ * paths with spaces are ambiguous; the usual case of equal paths is split
+ * in the middle, the ---/+++ or rename headers correct the rest later.
+ * @param {string} rest - Text after "diff --git "
+ * @returns {string[]} - Old and new path
+ */
+function parseGitHeaderPaths(rest) {
+  const quoted = rest.match(/^("(?:[^"\\]|\\.)*"|\S+) ("(?:[^"\\]|\\.)*"|\S+)$/);
+  if (quoted) {
+    return [headerPath(quoted[1]), headerPath(quoted[2])];
+  }
+
+  const half = (rest.length - 1) / 2;
+  if (Number.isInteger(half) && rest.substring(2, half) === rest.substring(half + 3)) {
+    return [rest.substring(2, half), rest.substring(half + 3)];
+  }
+
+  const match = rest.match(/^a\/(.+?) b\/(.+)$/);
+  return match ? [match[1], match[2]] : [rest, rest];
+}
+
+/**
+ * Creates an empty file entry of the structured diff
+ * @param {string} oldPath - Path before the change
+ * @param {string} newPath - Path after the change
+ * @returns {Object} - File entry
+ */
+function createFileEntry(oldPath, newPath) {
+  return {
+    old_path: oldPath,
+    new_path: newPath,
+    status: "modified",
+    similarity: null,
+    binary: false,
+    old_mode: null,
+    new_mode: null,
+    additions: 0,
+    deletions: 0,
+    hunks: [],
+  };
+}
+
+/**
+ * Parses a unified diff as produced by `git diff`/`git show` into files,
+ * hunks and typed lines
+ * @param {string} text - Unified diff
+ * @returns {Object[]} - Files with status, paths, modes, binary flag and hunks
+ */
+export function parseDiff(text) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  for (const line of text.split("\n")) {
+    if (line.startsWith("diff --git ")) {
+      const [oldPath, newPath] = parseGitHeaderPaths(line.substring(11));
+      file = createFileEntry(oldPath, newPath);
+      files.push(file);
+      hunk = null;
+      continue;
+    }
+    if (!file) {
+      continue;
+    }
+
+    if (hunk) {
+      const marker = line[0];
+      if (marker === " " || marker === "+" || marker === "-") {
+        const content = line.substring(1);
+        if (marker === "+") {
+          hunk.lines.push({ type: "add", content, old_line: null, new_line: newLine++ });
+          file.additions++;
+        } else if (marker === "-") {
+          hunk.lines.push({ type: "delete", content, old_line: oldLine++, new_line: null });
+          file.deletions++;
+        } else {
+          hunk.lines.push({ type: "context", content, old_line: oldLine++, new_line: newLine++ });
+        }
+        continue;
+      }
+      if (marker === "\\") {
+        // "\ No newline at end of file" belongs to the line before it
+        const last = hunk.lines[hunk.lines.length - 1];
+        if (last) last.no_newline_at_eof = true;
+        continue;
+      }
+      if (line === "") {
+        continue;
+      }
+      hunk = null;
+    }
+
+    const hunkHeader = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/);
+    if (hunkHeader) {
+      hunk = {
+        header: line,
+        old_start: Number(hunkHeader[1]),
+        old_lines: hunkHeader[2] === undefined ? 1 : Number(hunkHeader[2]),
+        new_start: Number(hunkHeader[3]),
+        new_lines: hunkHeader[4] === undefined ? 1 : Number(hunkHeader[4]),
+        section: hunkHeader[5] || null,
+        lines: [],
+      };
+      oldLine = hunk.old_start;
+      newLine = hunk.new_start;
+      file.hunks.push(hunk);
+      continue;
+    }
+
+    const status = Object.keys(STATUS_HEADERS).find((header) =>
+      line.startsWith(`${header} `)
+    );
+    if (status) {
+      file.status = STATUS_HEADERS[status];
+    }
+
+    if (line.startsWith("new file mode ")) {
+      file.new_mode = line.substring(14);
+    } else if (line.startsWith("deleted file mode ")) {
+      file.old_mode = line.substring(18);
+    } else if (line.startsWith("old mode ")) {
+      file.old_mode = line.substring(9);
+    } else if (line.startsWith("new mode ")) {
+      file.new_mode = line.substring(9);
+    } else if (/^(rename|copy) from /.test(line)) {
+      file.old_path = unquotePath(line.replace(/^(rename|copy) from /, ""));
+    } else if (/^(rename|copy) to /.test(line)) {
+      file.new_path = unquotePath(line.replace(/^(rename|copy) to /, ""));
+    } else if (line.startsWith("similarity index ")) {
+      file.similarity = parseInt(line.substring(17), 10);
+    } else if (line.startsWith("index ")) {
+      // "index <old>..<new> <mode>" carries the mode of unchanged-mode files
+      const mode = line.split(" ")[2];
+      if (mode && !file.old_mode && !file.new_mode) {
+        file.old_mode = mode;
+        file.new_mode = mode;
+      }
+    } else if (line.startsWith("--- ")) {
+      file.old_path = headerPath(line.substring(4)) ?? file.old_path;
+    } else if (line.startsWith("+++ ")) {
+      file.new_path = headerPath(line.substring(4)) ?? file.new_path;
+    } else if (line.startsWith("Binary files ") || line === "GIT binary patch") {
+      file.binary = true;
+    }
+  }
+
+  // Paths of added and deleted files only exist on one side
+  for (const entry of files) {
+    if (entry.status === "added") entry.old_path = null;
+    if (entry.status === "deleted") entry.new_path = null;
+  }
+
+  return files;
+}
+
+/**
+ * Parses `git diff --numstat -z` output
+ * @param {string} text - NUL separated numstat output
+ * @returns {Object} - Per-file additions/deletions and totals
+ */
+export function parseNumstat(text) {
+  const fields = text.split("\0");
+  const files = [];
+
+  for (let i = 0; i < fields.length; i++) {
+    const match = fields[i].replace(/^\n/, "").match(/^(-|\d+)\t(-|\d+)\t(.*)$/);
+    if (!match) {
+      continue;
+    }
+    const binary = match[1] === "-";
+    const entry = {
+      path: match[3],
+      old_path: null,
+      additions: binary ? 0 : Number(match[1]),
+      deletions: binary ? 0 : Number(match[2]),
+      binary: binary,
+    };
+    // Renames and copies leave the path empty; old and new path follow
+    if (match[3] === "") {
+      entry.old_path = fields[++i];
+      entry.path = fields[++i];
+    }
+    files.push(entry);
+  }
+
+  return {
+    files_changed: files.length,
+    additions: files.reduce((sum, file) => sum + file.additions, 0),
+    deletions: files.reduce((sum, file) => sum + file.deletions, 0),
+    files: files,
+  };
+}
+
+/**
+ * Runs `git diff` and returns the result in one of the shared formats:
+ * `structured` (parsed files and hunks), `patch` (unified diff text) or
+ * `stat` (changed line counts per file)
+ * @param {Object} git - simple-git instance
+ * @param {string[]} diffArgs - Revisions, options and pathspecs for git diff
+ * @param {string} format - structured, patch or stat
+ * @returns {Promise<Object>} - `{ files }`, `{ patch }` or the numstat summary
+ */
+export async function getDiff(git, diffArgs, format = "structured") {
+  const base = ["-c", "core.quotePath=false", "diff", "--find-renames"];
+
+  if (format === "stat") {
+    return parseNumstat(await git.raw([...base, "--numstat", "-z", ...diffArgs]));
+  }
+
+  const patch = await git.raw([...base, "--no-color", "--no-ext-diff", ...diffArgs]);
+  if (format === "patch") {
+    return { patch };
+  }
+  return { files: parseDiff(patch) };
+}
@@ -0,0 +1,69 @@
+// Encodings file contents can be read as; "auto" detects them
+export const TEXT_ENCODINGS = ["auto", "utf-8", "utf-16le", "utf-16be", "latin1"];
+
+// Git's own heuristic: a NUL byte in the first 8000 bytes makes a file binary
+const BINARY_PROBE_BYTES = 8000;
+
+// Byte order marks and the encodings they announce
+const BYTE_ORDER_MARKS = [
+  { bytes: [0xef, 0xbb, 0xbf], encoding: "utf-8" },
+  { bytes: [0xff, 0xfe], encoding: "utf-16le" },
+  { bytes: [0xfe, 0xff], encoding: "utf-16be" },
+];
+
+/**
+ * Detects how a file is encoded: by its byte order mark, then as UTF-8 if
+ * it is valid UTF-8, else as latin1. Files with a NUL byte and no byte
+ * order mark are binary.
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} - Encoding, or null for binary contents
+ */
+export function detectEncoding(buffer) {
+  const mark = BYTE_ORDER_MARKS.find(({ bytes }) =>
+    bytes.every((byte, index) => buffer[index] === byte)
+  );
+  if (mark) {
+    return mark.encoding;
+  }
+  if (buffer.subarray(0, BINARY_PROBE_BYTES).includes(0)) {
+    return null;
+  }
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+    return "utf-8";
+  } catch (error) {
+    return "latin1";
+  }
+}
+
+/**
+ * Decodes file contents, dropping a byte order mark
+ * @param {Buffer} buffer - File contents
+ * @param {string} encoding - utf-8, utf-16le, utf-16be or latin1
+ * @returns {string} - Text
+ */
+export function decodeText(buffer, encoding) {
+  if (encoding === "latin1") {
+    return buffer.toString("latin1");
+  }
+  return new TextDecoder(encoding).decode(buffer);
+}
+
+/**
+ * Cuts text to at most a number of UTF-8 bytes without splitting a character
+ * @param {string} text - Text to cut
+ * @param {number} maxBytes - Maximum size in bytes
+ * @returns {string} - Text of at most maxBytes bytes
+ */
+export function truncateText(text, maxBytes) {
+  const bytes = Buffer.from(text, "utf8");
+  if (bytes.length <= maxBytes) {
+    return text;
+  }
+  let end = maxBytes;
+  // Back up to the start of a character (continuation bytes are 10xxxxxx)
+  while (end > 0 && (bytes[end] & 0xc0) === 0x80) {
+    end--;
+  }
+  return bytes.subarray(0, end).toString("utf8");
+}
@@ -1,78 +1,725 @@
 import { simpleGit } from "simple-git";
 import fs from "fs-extra";
 import path from "path";
-import os from "os";
-import crypto from "crypto";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import {
+  credentialEnv,
+  scrubSecrets,
+  stripUrlCredentials,
+} from "./credentials.js";
+import {
+  cloneDirectory,
+  cloneFreshness,
+  enforceCacheLimits,
+  recordCloneUse,
+} from "./clone-cache.js";
+import { withRepoLock } from "./locks.js";
+
+const execFilePromise = promisify(execFile);
+
+// Repository URL of each clone, so later fetches use its credentials
+const cloneUrls = new Map();
+
+// How repo_url tools clone: the whole history, the newest commits only, or
+// a partial clone that fetches file contents (or trees) when needed
+export const CLONE_STRATEGIES = ["full", "shallow", "blobless", "treeless"];
+
+// Partial clone filter of each strategy
+const CLONE_FILTERS = {
+  blobless: "blob:none",
+  treeless: "tree:0",
+};
+
+// Refspecs of a clone: the remote's branches and tags are mirrored as local
+// branches and tags, so a fetch replaces them as they are on the remote
+// (force pushes included) and tools read them by name. The checked out
+// branch is one of them, so every fetch passes --update-head-ok.
+const MIRROR_REFSPECS = ["+refs/heads/*:refs/heads/*", "+refs/tags/*:refs/tags/*"];
+
+// When an existing clone is fetched again (see configureRefresh)
+let refreshPolicy = {
+  ttlMs: 60 * 1000,
+  offline: false,
+};
+
+// Commits fetched by the first on-demand deepening of a shallow clone;
+// each further deepening fetches twice as many
+const DEEPEN_STEP = 50;
+
+// Largest output of one `git cat-file --batch` call (see readBlobs)
+const MAX_BATCH_OUTPUT = 256 * 1024 * 1024;
+
+// Variables of the server's environment that only matter to interactive
+// use; simple-git refuses to run with them in a custom environment
+const INTERACTIVE_ENV = [
+  "EDITOR",
+  "GIT_EDITOR",
+  "GIT_SEQUENCE_EDITOR",
+  "PAGER",
+  "GIT_PAGER",
+  "GIT_ASKPASS",
+  "SSH_ASKPASS",
+];
+
+/**
+ * Sets when cached clones are fetched again
+ * @param {Object} options - Refresh policy
+ * @param {number} [options.ttlSeconds] - A clone fetched less than this long
+ *   ago is used without fetching (0: fetch on every use)
+ * @param {boolean} [options.offline] - Never fetch; serve only from clones
+ *   already in the cache
+ */
+export function configureRefresh({ ttlSeconds = 60, offline = false } = {}) {
+  refreshPolicy = {
+    ttlMs: ttlSeconds * 1000,
+    offline: offline,
+  };
+}
+
+/**
+ * Returns the refresh policy of cached clones
+ * @returns {Object} - `{ ttlSeconds, offline }`
+ */
+export function refreshSettings() {
+  return {
+    ttlSeconds: refreshPolicy.ttlMs / 1000,
+    offline: refreshPolicy.offline,
+  };
+}
+
+/**
+ * Environment of git commands that talk to a repository URL: the server's
+ * environment without interactive settings, plus the credentials of the
+ * URL. The GIT_CONFIG_*, GIT_SSH_COMMAND and credential helper settings
+ * come from the server configuration, not from tool arguments.
+ * @param {string} repoUrl - Repository URL the commands talk to
+ * @returns {Object} - Environment variables
+ */
+function gitEnv(repoUrl) {
+  return {
+    ...Object.fromEntries(
+      Object.entries(process.env).filter(
+        ([name]) => !INTERACTIVE_ENV.includes(name.toUpperCase())
+      )
+    ),
+    ...credentialEnv(repoUrl),
+  };
+}
+
+/**
+ * Creates a simple-git instance whose commands carry the credentials for
+ * a repository URL (see gitEnv). simple-git checks every variable of a
+ * custom environment, inherited ones included, so only the settings the
+ * credentials need are allowed, and a URL without credentials runs in the
+ * server's environment as it is.
+ * @param {string|undefined} baseDir - Working directory of the commands
+ * @param {string} repoUrl - Repository URL the commands talk to
+ * @returns {Object} - simple-git instance
+ */
+function authenticatedGit(baseDir, repoUrl) {
+  const credentials = Object.keys(credentialEnv(repoUrl)).filter(
+    (name) => name !== "GIT_TERMINAL_PROMPT"
+  );
+  if (credentials.length === 0) {
+    return simpleGit({ baseDir });
+  }
+  return simpleGit({
+    baseDir,
+    unsafe: {
+      allowUnsafeConfigEnvCount: true,
+      allowUnsafeSshCommand: true,
+      allowUnsafeCredentialHelper: true,
+    },
+  }).env(gitEnv(repoUrl));
+}
+
+/**
+ * Returns a simple-git instance for a clone made by cloneRepo, with the
+ * credentials of its repository URL (plain simple-git for other paths)
+ * @param {string} repoPath - Path returned by cloneRepo
+ * @returns {Object} - simple-git instance
+ */
+export function cloneGit(repoPath) {
+  const repoUrl = cloneUrls.get(repoPath);
+  return repoUrl ? authenticatedGit(repoPath, repoUrl) : simpleGit(repoPath);
+}
+
+/**
+ * Returns the environment for git commands run directly in a repository:
+ * with the credentials of its URL for a clone, else the server's own
+ * @param {string} repoPath - Local repository or path returned by cloneRepo
+ * @returns {Object} - Environment variables
+ */
+export function cloneEnv(repoPath) {
+  const repoUrl = cloneUrls.get(repoPath);
+  return repoUrl ? gitEnv(repoUrl) : process.env;
+}
+
+/**
+ * Fetches a branch created on the remote since the clone was last fetched.
+ * Fetching changes refs other readers of the clone may be using, so it holds
+ * the exclusive lock.
+ * @param {string} repoPath - Path returned by cloneRepo
+ * @param {string} branch - Branch name on the remote
+ */
+export async function fetchBranch(repoPath, branch) {
+  if (refreshPolicy.offline) {
+    throw new Error(
+      `Branch ${branch} is not in the cached clone and the server is offline`
+    );
+  }
+  const git = cloneGit(repoPath);
+  await withRepoLock(repoPath, "exclusive", () =>
+    git.raw(["fetch", "origin", `+refs/heads/${branch}:refs/heads/${branch}`])
+  );
+}
 
 /**
- * Clones a Git repository or reuses an existing clone
+ * Reads files of a revision from the object database with a single
+ * `git cat-file --batch` call, without a checkout. Partial clones fetch
+ * missing contents with the credentials of their repository URL.
+ * @param {string} repoPath - Local repository or path returned by cloneRepo
+ * @param {string} commit - Commit to read the files of
+ * @param {string[]} paths - Repository-relative file paths
+ * @returns {Promise<Object[]>} - Per path, in order: `{ path, blob, type, size,
+ *   content }` with the content as a Buffer, or `{ path, missing: true }`
+ */
+export async function readBlobs(repoPath, commit, paths) {
+  // A newline would end the object name early
+  const names = paths.map((filePath) =>
+    filePath.includes("\n") ? "" : `${commit}:${filePath}`
+  );
+
+  const pending = execFilePromise("git", ["cat-file", "--batch"], {
+    cwd: repoPath,
+    env: cloneEnv(repoPath),
+    encoding: "buffer",
+    maxBuffer: MAX_BATCH_OUTPUT,
+  });
+  pending.child.stdin.end(names.map((name) => `${name}\n`).join(""));
+  const { stdout } = await pending;
+
+  // Each object is "<sha> <type> <size>\n<content>\n"; unknown names are
+  // echoed with "missing" (or "ambiguous")
+  const results = [];
+  let offset = 0;
+  for (const filePath of paths) {
+    const headerEnd = stdout.indexOf(10, offset);
+    const header = stdout.toString("utf8", offset, headerEnd);
+    offset = headerEnd + 1;
+
+    const match = header.match(/^([0-9a-f]{40,64}) (\w+) (\d+)$/);
+    if (!match) {
+      results.push({ path: filePath, missing: true });
+      continue;
+    }
+    const size = Number(match[3]);
+    results.push({
+      path: filePath,
+      blob: match[1],
+      type: match[2],
+      size: size,
+      content: stdout.subarray(offset, offset + size),
+    });
+    offset += size + 1;
+  }
+  return results;
+}
+
+/**
+ * Lists the files of a repository: those of a commit, or without one the
+ * tracked and untracked (not ignored) files of the working tree
+ * @param {Object} git - simple-git instance
+ * @param {string} [commit] - Commit to list the files of
+ * @returns {Promise<string[]>} - Repository-relative paths
+ */
+export async function listFiles(git, commit = null) {
+  const output = commit
+    ? await git.raw(["ls-tree", "-r", "-z", "--name-only", commit])
+    : await git.raw(["ls-files", "-z", "--cached", "--others", "--exclude-standard"]);
+  return [...new Set(output.split("\0").filter(Boolean))];
+}
+
+/**
+ * Describes a file of the working tree the way ls-tree describes files
+ * @param {string} repoPath - Repository path
+ * @param {string} filePath - Repository-relative path
+ * @returns {Promise<Object|null>} - `{ path, type, mode, size }`, or null if
+ *   the file is gone
+ */
+async function workingTreeEntry(repoPath, filePath) {
+  let stats;
+  try {
+    stats = await fs.lstat(path.join(repoPath, filePath));
+  } catch (error) {
+    // Tracked but deleted
+    return null;
+  }
+  if (stats.isDirectory()) {
+    // A submodule
+    return { path: filePath, type: "commit", mode: "160000", size: null };
+  }
+  let mode = stats.mode & 0o111 ? "100755" : "100644";
+  if (stats.isSymbolicLink()) {
+    mode = "120000";
+  }
+  return { path: filePath, type: "blob", mode: mode, size: stats.size };
+}
+
+/**
+ * Lists every file on disk below a directory of the working tree, except
+ * the .git directory. Symlinks are not followed.
+ * @param {string} repoPath - Repository path
+ * @param {string} directory - Repository-relative directory ("" for the root)
+ * @returns {Promise<string[]>} - Repository-relative file paths
+ */
+async function walkWorkingTree(repoPath, directory) {
+  const dirPath = path.join(repoPath, directory);
+  if (!(await fs.pathExists(dirPath))) {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of await fs.readdir(dirPath, { withFileTypes: true })) {
+    if (entry.name === ".git") continue;
+    const entryPath = directory ? `${directory}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...(await walkWorkingTree(repoPath, entryPath)));
+    } else {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Lists the files below a directory of a repository with their mode and
+ * size: those of a commit (`git ls-tree -r -l`), or those of the working
+ * tree, either as git sees them (tracked, and untracked but not ignored)
+ * or every file on disk
+ * @param {string} repoPath - Local repository or path returned by cloneRepo
+ * @param {Object} [options] - Listing options
+ * @param {string} [options.commit] - Commit to list the files of
+ * @param {string} [options.subpath] - Repository-relative directory to list
+ * @param {boolean} [options.gitignore] - Leave out ignored working tree files
+ * @returns {Promise<Object[]>} - Files: `{ path, type, mode, size }` with type
+ *   "blob" or "commit" (a submodule) and size null when unknown
+ */
+export async function listTreeEntries(
+  repoPath,
+  { commit = null, subpath = "", gitignore = true } = {}
+) {
+  const git = cloneGit(repoPath);
+
+  if (commit) {
+    // Sizes would make a partial clone download every file
+    const partial =
+      (
+        await git.raw(["config", "--get", "remote.origin.promisor"]).catch(() => "")
+      ).trim() === "true";
+    const output = await git.raw([
+      "ls-tree",
+      "-r",
+      "-z",
+      ...(partial ? [] : ["-l"]),
+      commit,
+      ...(subpath ? ["--", subpath] : []),
+    ]);
+    // "<mode> <type> <object> <size>\t<path>", the size padded with spaces
+    return output
+      .split("\0")
+      .filter(Boolean)
+      .map((line) => {
+        const [, mode, type, size, filePath] = line.match(
+          /^(\d+) (\w+) [0-9a-f]+(?: +(-|\d+))?\t([\s\S]*)$/
+        );
+        return {
+          path: filePath,
+          type: type,
+          mode: mode,
+          size: size && size !== "-" ? Number(size) : null,
+        };
+      });
+  }
+
+  const paths = gitignore
+    ? (await listFiles(git)).filter(
+        (filePath) => !subpath || filePath.startsWith(`${subpath}/`)
+      )
+    : await walkWorkingTree(repoPath, subpath);
+  const entries = [];
+  for (const filePath of paths) {
+    const entry = await workingTreeEntry(repoPath, filePath);
+    if (entry) {
+      entries.push(entry);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Finds the files .gitattributes marks as binary (`binary`, `-text` or
+ * `-diff`), as the attributes of the working tree say
+ * @param {Object} git - simple-git instance
+ * @param {string[]} paths - Repository-relative file paths
+ * @returns {Promise<Set<string>>} - Paths marked binary
+ */
+export async function binaryAttributes(git, paths) {
+  const binary = new Set();
+  if (paths.length === 0) {
+    return binary;
+  }
+  // NUL-separated triples: path, attribute, value
+  const fields = (
+    await git.raw(["check-attr", "-z", "text", "diff", "--", ...paths])
+  ).split("\0");
+  for (let i = 0; i + 2 < fields.length; i += 3) {
+    if (fields[i + 2] === "unset") {
+      binary.add(fields[i]);
+    }
+  }
+  return binary;
+}
+
+/**
+ * Directories to check out in a sparse clone so the given files exist.
+ * Files in the repository root are always checked out.
+ * @param {string[]} paths - Repository-relative file paths
+ * @returns {string[]} - Sparse-checkout cone directories
+ */
+function sparseDirectories(paths) {
+  const directories = paths
+    .map((filePath) =>
+      path.posix.dirname(
+        path.posix.normalize(filePath.replace(/\\/g, "/").replace(/^\/+/, ""))
+      )
+    )
+    .filter((directory) => directory !== "." && !directory.startsWith(".."));
+  return [...new Set(directories)];
+}
+
+/**
+ * Lists the boundary commits of a shallow repository
+ * @param {Object} git - simple-git instance
+ * @returns {Promise<Set<string>>} - Commits whose parents are missing (empty if the history is complete)
+ */
+export async function shallowCommits(git) {
+  const gitDir = (await git.revparse(["--absolute-git-dir"])).trim();
+  const shallowFile = path.join(gitDir, "shallow");
+  if (!(await fs.pathExists(shallowFile))) {
+    return new Set();
+  }
+  const content = await fs.readFile(shallowFile, "utf8");
+  return new Set(content.split("\n").filter(Boolean));
+}
+
+/**
+ * Runs a history query in a clone, deepening a shallow clone until the
+ * result is complete or the whole history has been fetched. Offline, the
+ * result is what the clone has.
+ * @param {string} repoPath - Path returned by cloneRepo
+ * @param {Function} run - Runs the query
+ * @param {Function} isComplete - Called with the result and the shallow
+ *   boundary commits; true when the result needs no older commits
+ * @returns {Promise<*>} - Result of the last run
+ */
+export async function withHistory(repoPath, run, isComplete) {
+  const git = cloneGit(repoPath);
+  let result = await run();
+  let boundary = await shallowCommits(git);
+  let deepen = DEEPEN_STEP;
+
+  while (
+    !refreshPolicy.offline &&
+    boundary.size > 0 &&
+    !(await isComplete(result, boundary))
+  ) {
+    // Deepening changes the clone under other readers' feet
+    await withRepoLock(repoPath, "exclusive", () =>
+      git.raw(["fetch", "--update-head-ok", "--deepen", String(deepen), "origin"])
+    );
+    deepen *= 2;
+    boundary = await shallowCommits(git);
+    result = await run();
+  }
+
+  return result;
+}
+
+/**
+ * Switches a clone to mirrored refs (see MIRROR_REFSPECS). Clones made
+ * before kept the remote's branches as remote-tracking branches; they
+ * become local branches, so nothing is lost when the server is offline.
+ * @param {Object} git - simple-git instance of the clone
+ */
+async function mirrorRemoteRefs(git) {
+  const refspecs = (
+    await git.raw(["config", "--get-all", "remote.origin.fetch"]).catch(() => "")
+  )
+    .split("\n")
+    .filter(Boolean);
+  if (refspecs.join("\n") === MIRROR_REFSPECS.join("\n")) {
+    return;
+  }
+
+  await git.raw(["config", "--unset-all", "remote.origin.fetch"]).catch(() => "");
+  for (const refspec of MIRROR_REFSPECS) {
+    await git.raw(["config", "--add", "remote.origin.fetch", refspec]);
+  }
+
+  const tracking = await git.raw([
+    "for-each-ref",
+    "--format=%(refname) %(objectname)",
+    "refs/remotes/origin/",
+  ]);
+  for (const line of tracking.split("\n").filter(Boolean)) {
+    const [ref, commit] = line.split(" ");
+    const branch = ref.slice("refs/remotes/origin/".length);
+    if (branch !== "HEAD") {
+      await git.raw(["update-ref", `refs/heads/${branch}`, commit]);
+    }
+    await git.raw(["update-ref", "-d", "--no-deref", ref]);
+  }
+}
+
+/**
+ * Fetches all branches and tags of a clone, pruning those deleted on the
+ * remote. Nothing is merged: the checked out branch moves with the remote
+ * and the working tree is updated only when a tool reads it (see
+ * syncWorkingTree).
+ * @param {Object} git - simple-git instance of the clone
+ */
+async function fetchClone(git) {
+  await git.raw(["fetch", "--prune", "--update-head-ok", "origin"]);
+
+  // The checked out branch was deleted or renamed on the remote
+  const head = await git
+    .raw(["rev-parse", "--verify", "--quiet", "HEAD"])
+    .catch(() => "");
+  if (!head.trim()) {
+    const remoteHead = await git.raw(["ls-remote", "--symref", "origin", "HEAD"]);
+    const match = remoteHead.match(/^ref: (refs\/heads\/\S+)\tHEAD$/m);
+    if (match) {
+      await git.raw(["symbolic-ref", "HEAD", match[1]]);
+    }
+  }
+}
+
+/**
+ * Updates the index and working tree of a clone to its HEAD, which fetches
+ * (and clones without a checkout) leave behind
+ * @param {Object} git - simple-git instance of the clone
+ */
+async function syncWorkingTree(git) {
+  const changed = await git.raw(["diff-index", "--cached", "--name-only", "HEAD", "--"]);
+  if (changed.trim()) {
+    await git.raw(["reset", "--hard", "--quiet", "HEAD"]);
+  }
+}
+
+/**
+ * Whether a clone was fetched longer ago than the refresh TTL
+ * @param {string} clonePath - Clone directory
+ * @returns {Promise<boolean>} - True if the clone should be fetched
+ */
+async function needsFetch(clonePath) {
+  const { last_fetch } = await cloneFreshness(clonePath);
+  return !last_fetch || Date.now() - Date.parse(last_fetch) >= refreshPolicy.ttlMs;
+}
+
+/**
+ * Brings an existing clone in line with the requested strategy: a shallow
+ * clone is deepened or unshallowed, a sparse checkout gets the directories
+ * of the requested files (or is disabled when all files are needed).
+ * Clones are never made shallower or sparser than they are, and are not
+ * deepened offline.
+ * @param {Object} git - simple-git instance of the clone
+ * @param {Object} options - Clone options (see cloneRepo)
+ */
+async function adaptClone(git, { strategy, depth, checkout }) {
+  if (
+    !refreshPolicy.offline &&
+    (strategy === "full" || strategy === "shallow")
+  ) {
+    const boundary = await shallowCommits(git);
+    if (boundary.size > 0 && strategy === "full") {
+      await git.raw(["fetch", "--update-head-ok", "--unshallow", "origin"]);
+    } else if (boundary.size > 0) {
+      const current = Number(
+        (await git.raw(["rev-list", "--count", "--first-parent", "HEAD"])).trim()
+      );
+      if (current < depth) {
+        await git.raw([
+          "fetch",
+          "--update-head-ok",
+          "--deepen",
+          String(depth - current),
+          "origin",
+        ]);
+      }
+    }
+  }
+
+  const sparse = (
+    await git.raw(["config", "--bool", "core.sparseCheckout"]).catch(() => "")
+  ).trim();
+  if (sparse !== "true" || !checkout) {
+    return;
+  }
+  if (checkout === true) {
+    await git.raw(["sparse-checkout", "disable"]);
+  } else {
+    const directories = sparseDirectories(checkout);
+    if (directories.length > 0) {
+      await git.raw(["sparse-checkout", "add", ...directories]);
+    }
+  }
+}
+
+/**
+ * Records the use of a clone in the cache and evicts other clones beyond
+ * the cache limits. Cache bookkeeping never fails the tool call.
+ * @param {string} clonePath - Clone directory
+ * @param {string} remoteUrl - Repository URL without credentials
+ * @param {boolean} fetched - Whether the clone was just created or fetched
+ */
+async function updateCache(clonePath, remoteUrl, fetched) {
+  try {
+    await recordCloneUse(clonePath, remoteUrl, { fetched });
+    const evicted = await enforceCacheLimits([clonePath]);
+    for (const clone of evicted) {
+      cloneUrls.delete(clone.path);
+      console.error(`[INFO] Evicted cached clone of ${clone.url || clone.path}`);
+    }
+  } catch (error) {
+    console.error(`[WARN] Could not update the clone cache: ${error.message}`);
+  }
+}
+
+/**
+ * Clones a Git repository or reuses an existing clone. An existing clone is
+ * fetched when its last fetch is older than the refresh TTL, and never when
+ * the server is offline.
  * @param {string} repoUrl - The URL of the Git repository to clone
+ * @param {Object} [options] - Clone options
+ * @param {string} [options.strategy] - full, shallow, blobless or treeless.
+ *   Without it an existing clone is reused as it is and a new clone is full.
+ * @param {number} [options.depth] - Commits to fetch with the shallow strategy
+ * @param {boolean|string[]} [options.checkout] - Working tree files the caller
+ *   reads: true for all, a list of paths, or false for none (history only)
+ * @param {boolean} [options.sparse] - Check out only the directories of the
+ *   `checkout` paths in a new clone
+ * @param {boolean} [options.refresh] - Fetch even if the clone is fresh
  * @returns {Promise<string>} - Path to the cloned repository
  */
-export async function cloneRepo(repoUrl) {
-  // Create deterministic directory name based on repo URL
-  const repoHash = crypto
-    .createHash("sha256")
-    .update(repoUrl)
-    .digest("hex")
-    .slice(0, 12);
-  const tempDir = path.join(os.tmpdir(), `github_tools_${repoHash}`);
+export async function cloneRepo(repoUrl, options = {}) {
+  // Credentials never reach the clone's config or the cache key
+  const remoteUrl = stripUrlCredentials(repoUrl);
+  const tempDir = cloneDirectory(remoteUrl);
+
+  // One call at a time may clone, fetch or reshape a clone
+  return withRepoLock(tempDir, "exclusive", () =>
+    updateClone(repoUrl, tempDir, options)
+  );
+}
+
+/**
+ * Creates or updates the clone of a repository URL (see cloneRepo)
+ * @param {string} repoUrl - The URL of the Git repository to clone
+ * @param {string} tempDir - Clone directory
+ * @param {Object} options - Clone options
+ * @returns {Promise<string>} - Path to the cloned repository
+ */
+async function updateClone(
+  repoUrl,
+  tempDir,
+  {
+    strategy = null,
+    depth = 1,
+    checkout = false,
+    sparse = false,
+    refresh = false,
+  }
+) {
+  const remoteUrl = stripUrlCredentials(repoUrl);
+  const { offline } = refreshPolicy;
+  if (offline && refresh) {
+    throw new Error(`Cannot refresh ${remoteUrl}: the server is offline`);
+  }
 
   // Check if directory exists and is a valid git repo
   if (await fs.pathExists(tempDir)) {
     try {
-      const git = simpleGit(tempDir);
+      const git = authenticatedGit(tempDir, repoUrl);
       const remotes = await git.getRemotes(true);
-      if (remotes.length > 0 && remotes[0].refs.fetch === repoUrl) {
-        // Pull latest changes
-        await git.pull();
+      if (remotes.length > 0 && remotes[0].refs.fetch === remoteUrl) {
+        await mirrorRemoteRefs(git);
+        const fetched = !offline && (refresh || (await needsFetch(tempDir)));
+        if (fetched) {
+          await fetchClone(git);
+        }
+        await adaptClone(git, { strategy, depth, checkout });
+        if (checkout) {
+          await syncWorkingTree(git);
+        }
+        cloneUrls.set(tempDir, repoUrl);
+        await updateCache(tempDir, remoteUrl, fetched);
         return tempDir;
       }
     } catch (error) {
+      // Offline, a broken clone cannot be replaced
+      if (offline) {
+        throw new Error(
+          `Cached clone of ${remoteUrl} is unusable: ${scrubSecrets(error.message)}`
+        );
+      }
       // If there's any error with existing repo, clean it up
       await fs.remove(tempDir);
     }
   }
 
+  if (offline) {
+    throw new Error(`${remoteUrl} is not in the clone cache and the server is offline`);
+  }
+
+  const cloneOptions = [];
+  if (strategy === "shallow") {
+    // Keep every branch so other branches can be compared and deepened
+    cloneOptions.push("--depth", String(depth), "--no-single-branch");
+  }
+  if (CLONE_FILTERS[strategy]) {
+    cloneOptions.push(`--filter=${CLONE_FILTERS[strategy]}`);
+  }
+  const sparseCones =
+    sparse && Array.isArray(checkout) ? sparseDirectories(checkout) : null;
+  if (sparseCones) {
+    cloneOptions.push("--sparse");
+  } else if (!checkout) {
+    // History only; a later tool reading files checks out the tree
+    cloneOptions.push("--no-checkout");
+  }
+
   // Create directory and clone repository
   await fs.ensureDir(tempDir);
   try {
-    await simpleGit().clone(repoUrl, tempDir);
-    return tempDir;
+    await authenticatedGit(undefined, repoUrl).clone(
+      remoteUrl,
+      tempDir,
+      cloneOptions
+    );
+    const git = authenticatedGit(tempDir, repoUrl);
+    if (sparseCones && sparseCones.length > 0) {
+      await git.raw(["sparse-checkout", "add", ...sparseCones]);
+    }
+    await mirrorRemoteRefs(git);
+    cloneUrls.set(tempDir, repoUrl);
   } catch (error) {
     // Clean up on error
     await fs.remove(tempDir);
-    throw new Error(`Failed to clone repository: ${error.message}`);
-  }
-}
-
-/**
- * Generates a tree representation of a directory structure
- * @param {string} dirPath - Path to the directory
- * @param {string} prefix - Prefix for the current line (used for recursion)
- * @returns {Promise<string>} - ASCII tree representation of the directory
- */
-export async function getDirectoryTree(dirPath, prefix = "") {
-  let output = "";
-  const entries = await fs.readdir(dirPath);
-  entries.sort();
-
-  for (let i = 0; i < entries.length; i++) {
-    const entry = entries[i];
-    if (entry.startsWith(".git")) continue;
-
-    const isLast = i === entries.length - 1;
-    const currentPrefix = isLast ? "└── " : "├── ";
-    const nextPrefix = isLast ? "    " : "│   ";
-    const entryPath = path.join(dirPath, entry);
-
-    output += prefix + currentPrefix + entry + "\n";
-
-    const stats = await fs.stat(entryPath);
-    if (stats.isDirectory()) {
-      output += await getDirectoryTree(entryPath, prefix + nextPrefix);
-    }
+    throw new Error(`Failed to clone repository: ${scrubSecrets(error.message)}`);
   }
 
-  return output;
+  await updateCache(tempDir, remoteUrl, true);
+  return tempDir;
 }
@@ -0,0 +1,97 @@
+// Characters that make a path a glob pattern
+const GLOB_CHARACTERS = /[*?[{]/;
+
+/**
+ * Whether a path is a glob pattern rather than a plain path
+ * @param {string} pattern - Path or pattern
+ * @returns {boolean} - True if it contains glob characters
+ */
+export function isGlob(pattern) {
+  return GLOB_CHARACTERS.test(pattern);
+}
+
+/**
+ * Escapes a character that has a meaning in regular expressions
+ * @param {string} character - Character to escape
+ * @returns {string} - Literal regular expression source
+ */
+function escapeCharacter(character) {
+  return character.replace(/[.+^$(){}|\\\]]/g, "\\$&");
+}
+
+/**
+ * Translates a glob into regular expression source
+ * @param {string} glob - Glob pattern
+ * @returns {string} - Regular expression source (unanchored)
+ */
+function globSource(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const character = glob[i];
+
+    if (character === "*" && glob[i + 1] === "*") {
+      // "**/" matches any number of directories, a final "**" everything below
+      if (glob[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else {
+        source += ".*";
+        i += 1;
+      }
+    } else if (character === "*") {
+      source += "[^/]*";
+    } else if (character === "?") {
+      source += "[^/]";
+    } else if (character === "[") {
+      // A "]" right after the opening bracket belongs to the class
+      const end = glob.indexOf("]", i + 2);
+      if (end === -1) {
+        source += "\\[";
+        continue;
+      }
+      let members = glob.slice(i + 1, end).replace(/\\/g, "\\\\");
+      if (members.startsWith("!")) {
+        members = `^${members.slice(1)}`;
+      }
+      source += `[${members}]`;
+      i = end;
+    } else if (character === "{") {
+      const end = glob.indexOf("}", i);
+      if (end === -1) {
+        source += "\\{";
+        continue;
+      }
+      const alternatives = glob.slice(i + 1, end).split(",");
+      source += `(?:${alternatives.map(globSource).join("|")})`;
+      i = end;
+    } else {
+      source += escapeCharacter(character);
+    }
+  }
+  return source;
+}
+
+/**
+ * Converts a glob to a regular expression matching repository-relative
+ * paths. `*` and `?` stay within one path segment, `**` spans directories,
+ * `[...]` is a character class (`[!...]` negated) and `{a,b}` lists
+ * alternatives. A pattern without a slash matches file names at any depth,
+ * as in .gitignore; one with a slash matches from the repository root.
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} - Regular expression for whole paths
+ */
+export function globToRegExp(pattern) {
+  const glob = pattern.replace(/^\/+/, "").replace(/\/+$/, "");
+  const anywhere = !pattern.replace(/\/+$/, "").includes("/");
+  return new RegExp(`^${anywhere ? "(?:.*/)?" : ""}${globSource(glob)}$`);
+}
+
+/**
+ * Whether a repository-relative path matches a glob (see globToRegExp)
+ * @param {string} filePath - Path with forward slashes
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean} - True if the path matches
+ */
+export function matchesGlob(filePath, pattern) {
+  return globToRegExp(pattern).test(filePath);
+}
@@ -0,0 +1,132 @@
+import { spawn } from "child_process";
+import { StringDecoder } from "string_decoder";
+
+/**
+ * Reads the complete records of `git grep --null` output from a position.
+ * Paths are verbatim and may contain newlines, so records are read field by
+ * field: `path NUL line NUL text` per matching line, `path NUL count` per
+ * file with -c and `path NUL` per file with -l.
+ * @param {string} output - git grep output read so far
+ * @param {string} mode - matches, count or files
+ * @param {number} position - Where the first unread record starts
+ * @param {boolean} final - Whether the output is complete, so that a last
+ *   line without a newline ends its record
+ * @returns {Object} - `{ records, position }`: `{ file, line_number,
+ *   content }`, `{ file, count }` or `{ file }` records, and where the next
+ *   record starts
+ */
+export function parseGrepRecords(output, mode, position = 0, final = true) {
+  const records = [];
+  while (position < output.length) {
+    const pathEnd = output.indexOf("\0", position);
+    if (pathEnd === -1) break;
+    const record = { file: output.slice(position, pathEnd) };
+    let next = pathEnd + 1;
+    if (mode === "files") {
+      records.push(record);
+      position = next;
+      continue;
+    }
+
+    if (mode === "matches") {
+      const numberEnd = output.indexOf("\0", next);
+      if (numberEnd === -1) break;
+      record.line_number = parseInt(output.slice(next, numberEnd), 10);
+      next = numberEnd + 1;
+    }
+    let lineEnd = output.indexOf("\n", next);
+    if (lineEnd === -1) {
+      if (!final) break;
+      lineEnd = output.length;
+    }
+    if (mode === "count") {
+      record.count = parseInt(output.slice(next, lineEnd), 10);
+    } else {
+      record.content = output.slice(next, lineEnd);
+    }
+    position = lineEnd + 1;
+    records.push(record);
+  }
+  return { records, position };
+}
+
+/**
+ * Parses complete `git grep --null` output (see parseGrepRecords)
+ * @param {string} output - git grep output
+ * @param {string} mode - matches, count or files
+ * @returns {Object[]} - Records
+ */
+export function parseGrepOutput(output, mode) {
+  return parseGrepRecords(output, mode).records;
+}
+
+/**
+ * Runs `git grep --null` without a shell and parses its records as they
+ * arrive. Once `maxRecords` are read, git is stopped, so a page of results
+ * does not cost the whole search. Exit code 1 only means that nothing
+ * matched.
+ * @param {string} repoPath - Repository path
+ * @param {string[]} args - Arguments after `git grep`
+ * @param {Object} options - Search options
+ * @param {string} options.mode - matches, count or files
+ * @param {Object} options.env - Environment of git
+ * @param {number} [options.maxRecords] - Records to read before stopping
+ * @param {number} options.maxOutput - Most bytes of output to read
+ * @returns {Promise<Object>} - `{ records, complete }`; complete is false
+ *   when git was stopped after maxRecords
+ */
+export function runGitGrep(
+  repoPath,
+  args,
+  { mode, env, maxRecords = Infinity, maxOutput }
+) {
+  return new Promise((resolve, reject) => {
+    const child = spawn("git", ["grep", ...args], { cwd: repoPath, env });
+    const decoder = new StringDecoder("utf8");
+    const records = [];
+    let output = "";
+    let bytes = 0;
+    let stderr = "";
+    let stopped = false;
+    let failure = null;
+
+    const stop = (error) => {
+      stopped = true;
+      failure = error;
+      child.kill();
+    };
+
+    child.stdout.on("data", (chunk) => {
+      if (stopped) return;
+      bytes += chunk.length;
+      if (bytes > maxOutput) {
+        stop(new Error(`git grep output exceeds ${maxOutput} bytes`));
+        return;
+      }
+      output += decoder.write(chunk);
+      const parsed = parseGrepRecords(output, mode, 0, false);
+      records.push(...parsed.records);
+      output = output.slice(parsed.position);
+      if (records.length >= maxRecords) {
+        stop(null);
+      }
+    });
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk;
+    });
+    child.on("error", reject);
+    child.on("close", (code) => {
+      if (failure) {
+        reject(failure);
+      } else if (stopped) {
+        resolve({ records: records.slice(0, maxRecords), complete: false });
+      } else if (code === 0 || (code === 1 && !stderr)) {
+        output += decoder.end();
+        records.push(...parseGrepRecords(output, mode).records);
+        resolve({ records, complete: true });
+      } else {
+        reject(new Error(stderr.trim() || `git grep exited with code ${code}`));
+      }
+    });
+  });
+}
@@ -0,0 +1,239 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+/**
+ * Error raised when a repository lock could not be acquired in time
+ */
+export class LockTimeoutError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Lock key, requested mode and current holders
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "LockTimeoutError";
+    this.details = details;
+  }
+}
+
+// How long a call waits for a lock before giving up (see configureLocks)
+let timeoutMs = 60 * 1000;
+
+// Lock state per repository: shared holders, the exclusive holder and the
+// waiting requests in arrival order
+const locks = new Map();
+
+// Locks held by the current call, so nested acquisitions (a tool's clone
+// update inside its dispatch, an eviction by git_cache) do not deadlock
+const heldLocks = new AsyncLocalStorage();
+
+/**
+ * Sets how long calls wait for a repository lock
+ * @param {Object} options - Lock settings
+ * @param {number} [options.timeoutSeconds] - Maximum wait in seconds
+ */
+export function configureLocks({ timeoutSeconds = 60 } = {}) {
+  timeoutMs = timeoutSeconds * 1000;
+}
+
+/**
+ * Returns the state of a lock, creating it on first use
+ * @param {string} key - Repository key
+ * @returns {Object} - Lock state
+ */
+function lockState(key) {
+  if (!locks.has(key)) {
+    locks.set(key, { shared: new Set(), exclusive: null, queue: [] });
+  }
+  return locks.get(key);
+}
+
+/**
+ * Whether a lock can be granted in a mode right now
+ * @param {Object} state - Lock state
+ * @param {string} mode - shared or exclusive
+ * @returns {boolean} - True if no holder conflicts
+ */
+function isFree(state, mode) {
+  if (mode === "shared") {
+    return state.exclusive === null;
+  }
+  return state.exclusive === null && state.shared.size === 0;
+}
+
+/**
+ * Records a holder of a lock
+ * @param {Object} state - Lock state
+ * @param {Object} holder - Holder ({ mode, owner })
+ */
+function grant(state, holder) {
+  if (holder.mode === "shared") {
+    state.shared.add(holder);
+  } else {
+    state.exclusive = holder;
+  }
+}
+
+/**
+ * Grants waiting requests in arrival order while they fit. A waiting
+ * exclusive request blocks later shared ones, so writers do not starve.
+ * @param {string} key - Repository key
+ */
+function grantWaiting(key) {
+  const state = locks.get(key);
+  if (!state) return;
+
+  while (state.queue.length > 0 && isFree(state, state.queue[0].holder.mode)) {
+    const waiter = state.queue.shift();
+    grant(state, waiter.holder);
+    waiter.resolve();
+  }
+  if (state.queue.length === 0 && state.shared.size === 0 && !state.exclusive) {
+    locks.delete(key);
+  }
+}
+
+/**
+ * Describes who holds a lock, for wait messages and timeouts
+ * @param {string} key - Repository key
+ * @returns {Object[]} - Holders ({ mode, owner })
+ */
+export function lockHolders(key) {
+  const state = locks.get(key);
+  if (!state) return [];
+  const holders = [...state.shared];
+  if (state.exclusive) holders.push(state.exclusive);
+  return holders.map(({ mode, owner }) => ({ mode, owner }));
+}
+
+/**
+ * Acquires a lock, waiting up to the timeout
+ * @param {string} key - Repository key
+ * @param {string} mode - shared or exclusive
+ * @param {Object} options - Acquisition options
+ * @param {string} options.owner - Description of the caller
+ * @param {number} options.wait - Maximum wait in ms (0: fail unless free)
+ * @param {Function} options.onWait - Called with the holders when the caller has to wait
+ * @returns {Promise<Object>} - Holder to release later
+ */
+async function acquire(key, mode, { owner, wait, onWait }) {
+  const state = lockState(key);
+  const holder = { mode, owner };
+
+  if (state.queue.length === 0 && isFree(state, mode)) {
+    grant(state, holder);
+    return holder;
+  }
+
+  const holders = lockHolders(key);
+  const timeoutError = () =>
+    new LockTimeoutError(
+      `Timed out after ${wait / 1000}s waiting for the ${mode} lock on ${key} (held by ${
+        holders.map((h) => h.owner || "another call").join(", ") || "queued calls"
+      })`,
+      { repo: key, mode, holders }
+    );
+  if (wait <= 0) {
+    throw timeoutError();
+  }
+
+  if (onWait) {
+    onWait(holders);
+  }
+  await new Promise((resolve, reject) => {
+    const waiter = { holder, resolve: null };
+    const timer = setTimeout(() => {
+      state.queue.splice(state.queue.indexOf(waiter), 1);
+      grantWaiting(key);
+      reject(timeoutError());
+    }, wait);
+    waiter.resolve = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    state.queue.push(waiter);
+  });
+  return holder;
+}
+
+/**
+ * Releases a lock. Releasing twice is harmless.
+ * @param {string} key - Repository key
+ * @param {Object} holder - Holder returned by acquire
+ */
+function release(key, holder) {
+  const state = locks.get(key);
+  if (!state) return;
+  if (state.exclusive === holder) {
+    state.exclusive = null;
+  }
+  state.shared.delete(holder);
+  grantWaiting(key);
+}
+
+/**
+ * Turns an exclusive lock into a shared one without letting a writer in
+ * between
+ * @param {string} key - Repository key
+ * @param {Object} holder - Exclusive holder
+ */
+function downgrade(key, holder) {
+  const state = locks.get(key);
+  state.exclusive = null;
+  holder.mode = "shared";
+  state.shared.add(holder);
+  grantWaiting(key);
+}
+
+/**
+ * Runs a function while holding a repository lock. Reads share the lock,
+ * mutations hold it alone. Locks are reentrant within a call: a shared
+ * holder asking for the exclusive lock gives up its shared lock while it
+ * waits and gets it back afterwards.
+ * @param {string} key - Repository key (local path or clone directory)
+ * @param {string} mode - shared or exclusive
+ * @param {Function} fn - Function to run
+ * @param {Object} [options] - Lock options
+ * @param {string} [options.owner] - Description of the caller (e.g. the tool name)
+ * @param {number} [options.timeoutMs] - Maximum wait in ms (default: configured timeout; 0: fail unless free)
+ * @param {Function} [options.onWait] - Called with the current holders when the call has to wait
+ * @returns {Promise<*>} - Result of fn
+ * @throws {LockTimeoutError} If the lock was not acquired in time
+ */
+export async function withRepoLock(key, mode, fn, options = {}) {
+  const held = heldLocks.getStore();
+  const current = held?.get(key);
+  const lockOptions = {
+    owner: options.owner || current?.owner || null,
+    wait: options.timeoutMs ?? timeoutMs,
+    onWait: options.onWait,
+  };
+
+  if (current && (current.mode === "exclusive" || mode === "shared")) {
+    return fn();
+  }
+
+  if (current) {
+    // Upgrade: give up the shared lock, wait for the exclusive one, then
+    // return to shared
+    release(key, current);
+    held.delete(key);
+    const holder = await acquire(key, "exclusive", lockOptions);
+    held.set(key, holder);
+    try {
+      return await fn();
+    } finally {
+      downgrade(key, holder);
+    }
+  }
+
+  const store = held || new Map();
+  const holder = await acquire(key, mode, lockOptions);
+  store.set(key, holder);
+  try {
+    return held ? await fn() : await heldLocks.run(store, fn);
+  } finally {
+    // An upgrade inside fn may have replaced the holder
+    release(key, store.get(key) || holder);
+    store.delete(key);
+  }
+}
@@ -0,0 +1,143 @@
+import fs from "fs-extra";
+import path from "path";
+import { fileURLToPath } from "url";
+
+/**
+ * Error raised when a path falls outside the allowed directories
+ */
+export class SandboxError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Structured details (path, reason, allowed roots)
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "SandboxError";
+    this.details = details;
+  }
+}
+
+/**
+ * Resolves symlinks in a path that may not exist yet. The longest existing
+ * prefix is resolved with realpath and the remaining segments are appended.
+ * @param {string} target - Path to resolve
+ * @returns {Promise<string>} - Absolute path with symlinks resolved
+ */
+export async function realpathLenient(target) {
+  let current = path.resolve(target);
+  const missing = [];
+
+  for (;;) {
+    try {
+      const real = await fs.realpath(current);
+      return path.join(real, ...missing.reverse());
+    } catch (error) {
+      if (error.code !== "ENOENT" && error.code !== "ENOTDIR") {
+        throw error;
+      }
+      const parent = path.dirname(current);
+      if (parent === current) {
+        return path.resolve(target);
+      }
+      missing.push(path.basename(current));
+      current = parent;
+    }
+  }
+}
+
+/**
+ * Checks whether a path is the same as or inside a root directory
+ * @param {string} root - Absolute root directory
+ * @param {string} target - Absolute path to check
+ * @returns {boolean} - True if target is inside root
+ */
+export function isWithin(root, target) {
+  const relative = path.relative(root, target);
+  return (
+    relative === "" ||
+    (relative !== ".." &&
+      !relative.startsWith(`..${path.sep}`) &&
+      !path.isAbsolute(relative))
+  );
+}
+
+/**
+ * Resolves a repository-relative path and rejects `..` or symlink escapes
+ * @param {string} root - Repository root directory
+ * @param {string} relativePath - Path relative to the repository root
+ * @returns {Promise<string>} - Resolved absolute path inside the root
+ */
+export async function resolveWithinRoot(root, relativePath) {
+  const realRoot = await realpathLenient(root);
+  const resolved = await realpathLenient(path.resolve(realRoot, relativePath));
+
+  if (!isWithin(realRoot, resolved)) {
+    throw new SandboxError(`Path escapes the repository: ${relativePath}`, {
+      reason: "outside_repository",
+      path: relativePath,
+    });
+  }
+
+  return resolved;
+}
+
+/**
+ * Sandbox policy restricting filesystem paths to a set of allowed roots.
+ * A sandbox without roots allows every path.
+ */
+export class Sandbox {
+  /**
+   * @param {string[]} roots - Allowed root directories
+   */
+  constructor(roots = []) {
+    this.roots = roots.map((root) => path.resolve(root));
+  }
+
+  /**
+   * Whether the sandbox restricts paths at all
+   * @returns {boolean} True if allowed roots are configured
+   */
+  get enabled() {
+    return this.roots.length > 0;
+  }
+
+  /**
+   * Resolves a path (following symlinks) and checks it against the allowed roots
+   * @param {string} target - Path to check
+   * @returns {Promise<string>} - Resolved absolute path
+   */
+  async resolvePath(target) {
+    const resolved = await realpathLenient(target);
+    if (!this.enabled) {
+      return resolved;
+    }
+
+    const realRoots = await Promise.all(this.roots.map(realpathLenient));
+    if (!realRoots.some((root) => isWithin(root, resolved))) {
+      throw new SandboxError(`Path is outside the allowed roots: ${target}`, {
+        reason: "outside_allowed_roots",
+        path: target,
+        resolved_path: resolved,
+        allowed_roots: this.roots,
+      });
+    }
+
+    return resolved;
+  }
+}
+
+/**
+ * Returns the local filesystem path a repository URL points to, if any
+ * @param {string} repoUrl - Repository URL or path
+ * @returns {string|null} - Local path, or null for remote URLs
+ */
+export function localRepoPath(repoUrl) {
+  if (/^file:\/\//i.test(repoUrl)) {
+    return fileURLToPath(repoUrl);
+  }
+  // Remote URLs (https://, ssh://, git://) and scp-like "user@host:path"
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(repoUrl) || /^[^/]+:/.test(repoUrl)) {
+    return null;
+  }
+  return repoUrl;
+}
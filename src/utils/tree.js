@@ -0,0 +1,238 @@
+import { globToRegExp } from "./glob.js";
+
+// Output formats of git_directory_structure
+export const TREE_FORMATS = ["text", "json"];
+
+/**
+ * Whether a path or one of its parent directories matches any pattern
+ * @param {string} relativePath - Path with forward slashes
+ * @param {RegExp[]} patterns - Patterns from globToRegExp
+ * @returns {boolean} - True if the path or a parent matches
+ */
+function matchesPathOrParent(relativePath, patterns) {
+  const segments = relativePath.split("/");
+  for (let i = 1; i <= segments.length; i++) {
+    const prefix = segments.slice(0, i).join("/");
+    if (patterns.some((pattern) => pattern.test(prefix))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Creates an empty directory node
+ * @param {string} name - Directory name
+ * @param {string} nodePath - Repository-relative path
+ * @returns {Object} - Directory node
+ */
+function directoryNode(name, nodePath) {
+  return {
+    name: name,
+    path: nodePath,
+    type: "directory",
+    children: new Map(),
+    file_count: 0,
+    size: 0,
+  };
+}
+
+/**
+ * Builds a directory tree from a flat list of files. Directories count the
+ * files below them and add up their sizes (null once a size is unknown).
+ * @param {Object[]} entries - Files from listTreeEntries
+ * @param {Object} [options] - Tree options
+ * @param {string} [options.root] - Repository-relative directory at the root
+ * @param {string[]} [options.include] - Globs of the files to keep (relative
+ *   to the root; default: all)
+ * @param {string[]} [options.exclude] - Globs of files and directories to
+ *   leave out (relative to the root)
+ * @returns {Object} - Root directory node
+ */
+export function buildTree(entries, { root = "", include = [], exclude = [] } = {}) {
+  const includePatterns = include.map(globToRegExp);
+  const excludePatterns = exclude.map(globToRegExp);
+  const prefix = root ? `${root}/` : "";
+  const tree = directoryNode("", root);
+
+  for (const entry of entries) {
+    if (!entry.path.startsWith(prefix) || entry.path === root) continue;
+    const relativePath = entry.path.slice(prefix.length);
+    if (matchesPathOrParent(relativePath, excludePatterns)) continue;
+    if (
+      includePatterns.length > 0 &&
+      !includePatterns.some((pattern) => pattern.test(relativePath))
+    ) {
+      continue;
+    }
+
+    const segments = relativePath.split("/");
+    const ancestors = [tree];
+    let node = tree;
+    for (const segment of segments.slice(0, -1)) {
+      if (!node.children.has(segment)) {
+        node.children.set(
+          segment,
+          directoryNode(segment, node.path ? `${node.path}/${segment}` : segment)
+        );
+      }
+      node = node.children.get(segment);
+      ancestors.push(node);
+    }
+
+    const submodule = entry.type === "commit";
+    node.children.set(segments[segments.length - 1], {
+      name: segments[segments.length - 1],
+      path: entry.path,
+      type: submodule ? "submodule" : "file",
+      mode: entry.mode,
+      size: entry.size,
+    });
+    for (const ancestor of ancestors) {
+      ancestor.file_count++;
+      if (!submodule) {
+        ancestor.size =
+          ancestor.size === null || entry.size === null
+            ? null
+            : ancestor.size + entry.size;
+      }
+    }
+  }
+
+  return tree;
+}
+
+/**
+ * Children of a directory node in name order
+ * @param {Object} node - Directory node
+ * @returns {Object[]} - Child nodes
+ */
+function sortedChildren(node) {
+  return [...node.children.values()].sort((a, b) =>
+    a.name < b.name ? -1 : a.name > b.name ? 1 : 0
+  );
+}
+
+/**
+ * Counts the entries of a tree down to a depth
+ * @param {Object} node - Directory node
+ * @param {number|null} maxDepth - Deepest level shown (null: all)
+ * @param {number} depth - Level of the node's children
+ * @returns {Object} - `{ entries, directories }`
+ */
+function countEntries(node, maxDepth, depth = 1) {
+  const counts = { entries: 0, directories: 0 };
+  for (const child of node.children.values()) {
+    counts.entries++;
+    if (child.type !== "directory") continue;
+    counts.directories++;
+    if (maxDepth === null || depth < maxDepth) {
+      const below = countEntries(child, maxDepth, depth + 1);
+      counts.entries += below.entries;
+      counts.directories += below.directories;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Renders a tree as ASCII art. Directories below the maximum depth show
+ * how many files they hold; entries past the limit are summarized.
+ * @param {Object} tree - Root directory node from buildTree
+ * @param {Object} [options] - Rendering options
+ * @param {number|null} [options.maxDepth] - Deepest level shown (null: all)
+ * @param {number|null} [options.maxEntries] - Most entries shown (null: all)
+ * @returns {string} - Tree, one entry per line
+ */
+export function renderTree(tree, { maxDepth = null, maxEntries = null } = {}) {
+  const lines = [];
+  const walk = (node, prefix, depth) => {
+    const children = sortedChildren(node);
+    for (let i = 0; i < children.length; i++) {
+      if (maxEntries !== null && lines.length >= maxEntries) return;
+      const child = children[i];
+      const isLast = i === children.length - 1;
+      const expand =
+        child.type === "directory" && (maxDepth === null || depth < maxDepth);
+      const hidden =
+        child.type === "directory" && !expand
+          ? ` (${child.file_count} ${child.file_count === 1 ? "file" : "files"})`
+          : "";
+
+      lines.push(`${prefix}${isLast ? "└── " : "├── "}${child.name}${hidden}`);
+      if (expand) {
+        walk(child, prefix + (isLast ? "    " : "│   "), depth + 1);
+      }
+    }
+  };
+  walk(tree, "", 1);
+
+  const { entries } = countEntries(tree, maxDepth);
+  if (entries > lines.length) {
+    lines.push(
+      `... ${entries - lines.length} more entries not shown (limit of ${maxEntries} entries)`
+    );
+  }
+  return lines.map((line) => `${line}\n`).join("");
+}
+
+/**
+ * Converts a tree to JSON: files with their size and mode, directories
+ * with their file count and total size, and totals for the whole tree
+ * @param {Object} tree - Root directory node from buildTree
+ * @param {Object} [options] - Conversion options
+ * @param {number|null} [options.maxDepth] - Deepest level listed (null: all)
+ * @param {number|null} [options.maxEntries] - Most entries listed (null: all)
+ * @returns {Object} - `{ tree, totals, truncated, omitted_entries }`
+ */
+export function treeToJson(tree, { maxDepth = null, maxEntries = null } = {}) {
+  let listed = 0;
+  const convert = (node, depth) => {
+    const children = [];
+    for (const child of sortedChildren(node)) {
+      if (maxEntries !== null && listed >= maxEntries) break;
+      listed++;
+      if (child.type !== "directory") {
+        children.push({
+          name: child.name,
+          path: child.path,
+          type: child.type,
+          mode: child.mode,
+          ...(child.type === "file" && { size: child.size }),
+        });
+        continue;
+      }
+      const directory = {
+        name: child.name,
+        path: child.path,
+        type: "directory",
+        file_count: child.file_count,
+        size: child.size,
+      };
+      if (maxDepth === null || depth < maxDepth) {
+        directory.children = convert(child, depth + 1);
+      }
+      children.push(directory);
+    }
+    return children;
+  };
+  const children = convert(tree, 1);
+
+  const { entries } = countEntries(tree, maxDepth);
+  return {
+    tree: {
+      path: tree.path,
+      type: "directory",
+      file_count: tree.file_count,
+      size: tree.size,
+      children: children,
+    },
+    totals: {
+      files: tree.file_count,
+      directories: countEntries(tree, null).directories,
+      size: tree.size,
+    },
+    truncated: entries > listed,
+    omitted_entries: entries - listed,
+  };
+}
@@ -0,0 +1,209 @@
+/**
+ * Error raised when tool arguments do not match the tool's input schema
+ */
+export class ValidationError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object[]} errors - Per-field errors ({ field, message })
+   */
+  constructor(message, errors = []) {
+    super(message);
+    this.name = "ValidationError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Names the JSON type of a value the way schemas spell it
+ * @param {*} value - Value to describe
+ * @returns {string} - JSON schema type name
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Checks a value against one JSON schema type
+ * @param {string} type - Schema type
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if the value has the type
+ */
+function hasType(type, value) {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "boolean":
+      return typeof value === "boolean";
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "null":
+      return value === null;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Validates a value against a schema, collecting errors and filling in
+ * defaults of missing object properties
+ * @param {Object} schema - JSON schema (the subset tool schemas use)
+ * @param {*} value - Value to validate
+ * @param {string} field - Path of the value, for error messages
+ * @param {Object[]} errors - Collected errors
+ * @returns {*} - The value with defaults applied
+ */
+function validateValue(schema, value, field, errors) {
+  if (!schema || typeof schema !== "object") {
+    return value;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => hasType(type, value))) {
+      errors.push({
+        field,
+        message: `must be of type ${types.join(" or ")}, got ${typeOf(value)}`,
+      });
+      return value;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((option) => option === value)) {
+    errors.push({
+      field,
+      message: `must be one of: ${schema.enum.map((option) => JSON.stringify(option)).join(", ")}`,
+    });
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === "string" && schema.minLength !== undefined) {
+    if (value.length < schema.minLength) {
+      errors.push({
+        field,
+        message: `must be at least ${schema.minLength} characters long`,
+      });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({
+        field,
+        message: `must have at least ${schema.minItems} items`,
+      });
+    }
+    if (schema.items) {
+      return value.map((item, index) =>
+        validateValue(schema.items, item, `${field}[${index}]`, errors)
+      );
+    }
+    return value;
+  }
+
+  if (hasType("object", value) && (schema.properties || schema.required)) {
+    return validateObject(schema, value, field, errors);
+  }
+
+  return value;
+}
+
+/**
+ * Validates an object's properties: unknown properties are rejected unless
+ * the schema allows them, defaults fill in missing ones, required ones must
+ * be present. Null is treated as an omitted optional property.
+ * @param {Object} schema - Object schema
+ * @param {Object} value - Object to validate
+ * @param {string} field - Path of the object, for error messages
+ * @param {Object[]} errors - Collected errors
+ * @returns {Object} - Copy of the object with defaults applied
+ */
+function validateObject(schema, value, field, errors) {
+  const properties = schema.properties || {};
+  const required = schema.required || [];
+  const prefix = field ? `${field}.` : "";
+  const result = {};
+
+  for (const [key, item] of Object.entries(value)) {
+    if (!Object.prototype.hasOwnProperty.call(properties, key)) {
+      if (schema.additionalProperties === true) {
+        result[key] = item;
+      } else if (
+        schema.additionalProperties &&
+        typeof schema.additionalProperties === "object"
+      ) {
+        result[key] = validateValue(
+          schema.additionalProperties,
+          item,
+          `${prefix}${key}`,
+          errors
+        );
+      } else {
+        errors.push({ field: `${prefix}${key}`, message: "is not a known argument" });
+      }
+      continue;
+    }
+    if (item === null && !required.includes(key)) {
+      continue;
+    }
+    result[key] = validateValue(properties[key], item, `${prefix}${key}`, errors);
+  }
+
+  for (const [key, propertySchema] of Object.entries(properties)) {
+    if (result[key] === undefined && propertySchema.default !== undefined) {
+      result[key] = JSON.parse(JSON.stringify(propertySchema.default));
+    }
+  }
+
+  for (const key of required) {
+    if (result[key] === undefined || result[key] === null) {
+      errors.push({ field: `${prefix}${key}`, message: "is required" });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Validates tool arguments against the tool's input schema
+ * @param {string} name - Tool name, for the error message
+ * @param {Object} schema - Tool input schema
+ * @param {Object} args - Tool arguments
+ * @returns {Object} - Arguments with schema defaults applied
+ */
+export function validateArguments(name, schema, args = {}) {
+  const errors = [];
+  const value = validateValue(
+    { type: "object", ...schema },
+    args ?? {},
+    "",
+    errors
+  );
+
+  if (errors.length > 0) {
+    throw new ValidationError(
+      `Invalid arguments for ${name}: ${errors
+        .map((error) => `${error.field || "arguments"} ${error.message}`)
+        .join("; ")}`,
+      errors
+    );
+  }
+
+  return value;
+}
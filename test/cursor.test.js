@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { decodeCursor, encodeCursor } from "../src/utils/cursor.js";
+
+test("a cursor returns its position for the same listing", () => {
+  const query = { repo_path: "/r", pattern: "TODO" };
+  assert.equal(decodeCursor(encodeCursor(query, 40), { ...query }), 40);
+  assert.deepEqual(
+    decodeCursor(encodeCursor(query, { after: "abc", index: 2 }), query),
+    { after: "abc", index: 2 }
+  );
+});
+
+test("a cursor of another listing or a malformed one is refused", () => {
+  const cursor = encodeCursor({ repo_path: "/r", pattern: "TODO" }, 40);
+  assert.equal(
+    decodeCursor(cursor, { repo_path: "/r", pattern: "FIXME" }),
+    null
+  );
+  assert.equal(decodeCursor("not a cursor", {}), null);
+  assert.equal(
+    decodeCursor(Buffer.from('{"q":"x"}').toString("base64url"), {}),
+    null
+  );
+});
@@ -0,0 +1,110 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  getDestructiveOperation,
+  previewDestructiveOperation,
+} from "../src/utils/destructive.js";
+
+/**
+ * Creates a repository with two commits
+ * @param {Object} t - Test context, to remove the repository afterwards
+ * @returns {string} - Repository path
+ */
+function makeRepo(t) {
+  const repo = fs.mkdtempSync(path.join(os.tmpdir(), "destructive-test-"));
+  t.after(() => fs.rmSync(repo, { recursive: true, force: true }));
+  const git = (...args) =>
+    execFileSync("git", ["-C", repo, ...args], { encoding: "utf8" });
+  git("init", "-q", "-b", "main");
+  for (const message of ["one", "two"]) {
+    fs.writeFileSync(path.join(repo, "file.txt"), `${message}\n`);
+    git("add", "file.txt");
+    git(
+      "-c",
+      "user.name=Test",
+      "-c",
+      "user.email=test@example.com",
+      "commit",
+      "-q",
+      "-m",
+      message
+    );
+  }
+  return repo;
+}
+
+test("only hard resets and forced pushes are destructive", () => {
+  assert.equal(getDestructiveOperation("git_reset", { mode: "soft" }), null);
+  assert.ok(getDestructiveOperation("git_reset", { mode: "hard" }));
+  assert.equal(getDestructiveOperation("git_push", {}), null);
+  assert.ok(getDestructiveOperation("git_push", { force: true }));
+});
+
+test("previews reject revisions that look like options", async (t) => {
+  const repo = makeRepo(t);
+  const output = path.join(repo, "written-by-preview");
+  const calls = [
+    ["git_reset", { repo_path: repo, mode: "hard", to: `--output=${output}` }],
+    ["git_revert", { repo_path: repo, commit: `--output=${output}` }],
+  ];
+
+  for (const [name, args] of calls) {
+    const preview = await previewDestructiveOperation(name, args);
+    assert.equal(preview.preview_error, `Invalid revision: --output=${output}`);
+  }
+  assert.equal(fs.existsSync(output), false);
+});
+
+test("the push preview resolves the local branch before using it", async (t) => {
+  const repo = makeRepo(t);
+  // A remote-tracking branch makes the preview list overwritten commits
+  execFileSync("git", [
+    "-C",
+    repo,
+    "update-ref",
+    "refs/remotes/origin/--output=written-by-preview",
+    "HEAD~1",
+  ]);
+
+  const preview = await previewDestructiveOperation("git_push", {
+    repo_path: repo,
+    force: true,
+    branch: "--output=written-by-preview",
+  });
+  assert.equal(
+    preview.preview_error,
+    "Invalid revision: --output=written-by-preview"
+  );
+  assert.equal(fs.existsSync(path.join(repo, "written-by-preview")), false);
+});
+
+test("a hard reset preview lists the commits it makes unreachable", async (t) => {
+  const repo = makeRepo(t);
+  const preview = await previewDestructiveOperation("git_reset", {
+    repo_path: repo,
+    mode: "hard",
+    to: "HEAD~1",
+  });
+
+  assert.equal(preview.branch, "main");
+  assert.deepEqual(
+    preview.unreachable_commits.map((commit) => commit.subject),
+    ["two"]
+  );
+  assert.deepEqual(preview.discarded_changes, []);
+});
+
+test("a revert preview names the commit and its files", async (t) => {
+  const repo = makeRepo(t);
+  const preview = await previewDestructiveOperation("git_revert", {
+    repo_path: repo,
+    commit: "HEAD",
+  });
+
+  assert.equal(preview.reverted_commit.subject, "two");
+  assert.deepEqual(preview.affected_files, ["file.txt"]);
+});
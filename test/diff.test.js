@@ -0,0 +1,138 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseDiff, parseNumstat } from "../src/utils/diff.js";
+
+const MODIFIED = `diff --git a/src/app.js b/src/app.js
+index 1111111..2222222 100644
+--- a/src/app.js
++++ b/src/app.js
+@@ -1,3 +1,3 @@ function main() {
+ const a = 1;
+-const b = 2;
++const b = 3;
+ const c = 4;
+@@ -10 +10,2 @@
+-end
++end
++more
+\\ No newline at end of file
+`;
+
+test("parseDiff numbers the lines of every hunk", () => {
+  const [file] = parseDiff(MODIFIED);
+  assert.equal(file.status, "modified");
+  assert.equal(file.old_path, "src/app.js");
+  assert.equal(file.new_path, "src/app.js");
+  assert.equal(file.old_mode, "100644");
+  assert.equal(file.additions, 3);
+  assert.equal(file.deletions, 2);
+
+  const [first, second] = file.hunks;
+  assert.equal(first.section, "function main() {");
+  assert.deepEqual(first.lines, [
+    { type: "context", content: "const a = 1;", old_line: 1, new_line: 1 },
+    { type: "delete", content: "const b = 2;", old_line: 2, new_line: null },
+    { type: "add", content: "const b = 3;", old_line: null, new_line: 2 },
+    { type: "context", content: "const c = 4;", old_line: 3, new_line: 3 },
+  ]);
+  assert.equal(second.old_lines, 1);
+  assert.equal(second.new_lines, 2);
+  assert.equal(second.section, null);
+  assert.deepEqual(second.lines.at(-1), {
+    type: "add",
+    content: "more",
+    old_line: null,
+    new_line: 11,
+    no_newline_at_eof: true,
+  });
+});
+
+test("parseDiff reads added, deleted, renamed and binary files", () => {
+  const files = parseDiff(`diff --git a/new.txt b/new.txt
+new file mode 100755
+index 0000000..3333333
+--- /dev/null
++++ b/new.txt
+@@ -0,0 +1 @@
++hello
+diff --git a/old.txt b/old.txt
+deleted file mode 100644
+index 4444444..0000000
+--- a/old.txt
++++ /dev/null
+@@ -1 +0,0 @@
+-bye
+diff --git a/from name.txt b/to name.txt
+similarity index 90%
+rename from from name.txt
+rename to to name.txt
+diff --git a/image.png b/image.png
+index 5555555..6666666 100644
+Binary files a/image.png and b/image.png differ
+`);
+
+  assert.deepEqual(
+    files.map((file) => [file.status, file.old_path, file.new_path]),
+    [
+      ["added", null, "new.txt"],
+      ["deleted", "old.txt", null],
+      ["renamed", "from name.txt", "to name.txt"],
+      ["modified", "image.png", "image.png"],
+    ]
+  );
+  assert.equal(files[0].new_mode, "100755");
+  assert.equal(files[0].hunks[0].lines[0].new_line, 1);
+  assert.equal(files[1].old_mode, "100644");
+  assert.equal(files[2].similarity, 90);
+  assert.equal(files[3].binary, true);
+});
+
+test("parseDiff decodes quoted paths", () => {
+  const [file] = parseDiff(`diff --git "a/tab\\there" "b/caf\\303\\251"
+similarity index 100%
+rename from "tab\\there"
+rename to "caf\\303\\251"
+`);
+  assert.equal(file.old_path, "tab\there");
+  assert.equal(file.new_path, "café");
+});
+
+test("parseNumstat reads counts, binary files and renames", () => {
+  const summary = parseNumstat(
+    "3\t1\tsrc/app.js\0-\t-\timage.png\0" + "0\t0\t\0old name\0new\tname\0"
+  );
+  assert.deepEqual(summary, {
+    files_changed: 3,
+    additions: 3,
+    deletions: 1,
+    files: [
+      {
+        path: "src/app.js",
+        old_path: null,
+        additions: 3,
+        deletions: 1,
+        binary: false,
+      },
+      {
+        path: "image.png",
+        old_path: null,
+        additions: 0,
+        deletions: 0,
+        binary: true,
+      },
+      {
+        path: "new\tname",
+        old_path: "old name",
+        additions: 0,
+        deletions: 0,
+        binary: false,
+      },
+    ],
+  });
+  assert.deepEqual(parseNumstat(""), {
+    files_changed: 0,
+    additions: 0,
+    deletions: 0,
+    files: [],
+  });
+});
@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  parseGrepOutput,
+  parseGrepRecords,
+  runGitGrep,
+} from "../src/utils/grep.js";
+
+test("matches keep paths with newlines and NULs in the text apart", () => {
+  assert.deepEqual(
+    parseGrepOutput("a\nb.txt\x003\x00one: two\nc.txt\x0010\x00last", "matches"),
+    [
+      { file: "a\nb.txt", line_number: 3, content: "one: two" },
+      { file: "c.txt", line_number: 10, content: "last" },
+    ]
+  );
+});
+
+test("count and files output have one record per file", () => {
+  assert.deepEqual(parseGrepOutput("a.txt\x002\nb\nc.txt\x0017\n", "count"), [
+    { file: "a.txt", count: 2 },
+    { file: "b\nc.txt", count: 17 },
+  ]);
+  assert.deepEqual(parseGrepOutput("a.txt\x00b\nc.txt\x00", "files"), [
+    { file: "a.txt" },
+    { file: "b\nc.txt" },
+  ]);
+});
+
+test("partial output is read up to its last complete record", () => {
+  const output = "a.txt\x001\x00first\na.txt\x002\x00seco";
+  const partial = parseGrepRecords(output, "matches", 0, false);
+  assert.deepEqual(partial.records, [
+    { file: "a.txt", line_number: 1, content: "first" },
+  ]);
+
+  const rest = `${output}nd\n`;
+  assert.deepEqual(parseGrepRecords(rest, "matches", partial.position, false), {
+    records: [{ file: "a.txt", line_number: 2, content: "second" }],
+    position: rest.length,
+  });
+});
+
+test("runGitGrep stops after the records it needs", async (t) => {
+  const repo = fs.mkdtempSync(path.join(os.tmpdir(), "grep-test-"));
+  t.after(() => fs.rmSync(repo, { recursive: true, force: true }));
+  execFileSync("git", ["init", "-q", repo]);
+  for (let i = 0; i < 20; i++) {
+    fs.writeFileSync(path.join(repo, `file${i}.txt`), "needle\nhay\nneedle\n");
+  }
+  execFileSync("git", ["-C", repo, "add", "."]);
+  const options = { env: process.env, maxOutput: 1024 * 1024 };
+
+  const all = await runGitGrep(repo, ["--null", "-n", "needle"], {
+    ...options,
+    mode: "matches",
+  });
+  assert.equal(all.complete, true);
+  assert.equal(all.records.length, 40);
+
+  const page = await runGitGrep(repo, ["--null", "-l", "needle"], {
+    ...options,
+    mode: "files",
+    maxRecords: 5,
+  });
+  assert.equal(page.complete, false);
+  assert.equal(page.records.length, 5);
+
+  const none = await runGitGrep(repo, ["--null", "-n", "missing"], {
+    ...options,
+    mode: "matches",
+  });
+  assert.deepEqual(none, { records: [], complete: true });
+
+  await assert.rejects(
+    runGitGrep(repo, ["--null", "-n", "needle"], {
+      ...options,
+      mode: "matches",
+      maxOutput: 100,
+    }),
+    /git grep output exceeds 100 bytes/
+  );
+});
@@ -0,0 +1,198 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  LockTimeoutError,
+  configureLocks,
+  lockHolders,
+  withRepoLock,
+} from "../src/utils/locks.js";
+
+/**
+ * Creates a promise with its resolve function, to hold a lock until a test
+ * lets go
+ * @returns {Object} - `{ promise, resolve }`
+ */
+function deferred() {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+/**
+ * Lets pending lock grants and callbacks run
+ * @returns {Promise<void>}
+ */
+function settle() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+test("shared locks are held together", async () => {
+  const key = "/repos/shared";
+  const gate = deferred();
+  const readers = ["a", "b"].map((owner) =>
+    withRepoLock(key, "shared", () => gate.promise, { owner })
+  );
+  await settle();
+
+  assert.deepEqual(lockHolders(key), [
+    { mode: "shared", owner: "a" },
+    { mode: "shared", owner: "b" },
+  ]);
+  gate.resolve();
+  await Promise.all(readers);
+  assert.deepEqual(lockHolders(key), []);
+});
+
+test("a waiting writer runs alone and before later readers", async () => {
+  const key = "/repos/writer";
+  const events = [];
+  const gate = deferred();
+  let waitedFor = null;
+
+  const first = withRepoLock(key, "shared", () => gate.promise, { owner: "a" });
+  const writer = withRepoLock(
+    key,
+    "exclusive",
+    async () => {
+      events.push("writer");
+      assert.deepEqual(lockHolders(key), [{ mode: "exclusive", owner: "w" }]);
+    },
+    { owner: "w", onWait: (holders) => (waitedFor = holders) }
+  );
+  const later = withRepoLock(key, "shared", () => events.push("reader"), {
+    owner: "b",
+  });
+  await settle();
+
+  assert.deepEqual(waitedFor, [{ mode: "shared", owner: "a" }]);
+  assert.deepEqual(events, []);
+  gate.resolve();
+  await Promise.all([first, writer, later]);
+  assert.deepEqual(events, ["writer", "reader"]);
+});
+
+test("locks are reentrant within a call", async () => {
+  const key = "/repos/reentrant";
+  const result = await withRepoLock(
+    key,
+    "exclusive",
+    () =>
+      withRepoLock(
+        key,
+        "shared",
+        () => withRepoLock(key, "exclusive", () => "nested", { timeoutMs: 0 }),
+        { timeoutMs: 0 }
+      ),
+    { owner: "outer" }
+  );
+  assert.equal(result, "nested");
+  assert.deepEqual(lockHolders(key), []);
+});
+
+test("an upgrade waits for other readers and returns to shared", async () => {
+  const key = "/repos/upgrade";
+  const gate = deferred();
+  const other = withRepoLock(key, "shared", () => gate.promise, {
+    owner: "other",
+  });
+  const modes = [];
+
+  const upgrading = withRepoLock(
+    key,
+    "shared",
+    async () => {
+      const exclusive = withRepoLock(key, "exclusive", () => {
+        modes.push(lockHolders(key));
+      });
+      await settle();
+      assert.deepEqual(modes, []);
+      gate.resolve();
+      await exclusive;
+      modes.push(lockHolders(key));
+    },
+    { owner: "upgrader" }
+  );
+
+  await Promise.all([other, upgrading]);
+  assert.deepEqual(modes, [
+    [{ mode: "exclusive", owner: "upgrader" }],
+    [{ mode: "shared", owner: "upgrader" }],
+  ]);
+  assert.deepEqual(lockHolders(key), []);
+});
+
+test("an upgrade is not atomic: a queued writer runs first", async () => {
+  const key = "/repos/upgrade-race";
+  const events = [];
+  const queued = deferred();
+
+  const upgrading = withRepoLock(
+    key,
+    "shared",
+    async () => {
+      events.push("read");
+      await queued.promise;
+      await withRepoLock(key, "exclusive", () => events.push("upgraded"));
+    },
+    { owner: "upgrader" }
+  );
+  await settle();
+  const writer = withRepoLock(key, "exclusive", () => events.push("writer"), {
+    owner: "writer",
+    onWait: () => queued.resolve(),
+  });
+
+  await Promise.all([upgrading, writer]);
+  assert.deepEqual(events, ["read", "writer", "upgraded"]);
+});
+
+test("a busy lock fails at once with a timeout of 0", async () => {
+  const key = "/repos/busy";
+  const gate = deferred();
+  const holder = withRepoLock(key, "exclusive", () => gate.promise, {
+    owner: "git_commit",
+  });
+
+  await assert.rejects(
+    withRepoLock(key, "shared", () => assert.fail("lock granted"), {
+      timeoutMs: 0,
+    }),
+    (error) => {
+      assert.ok(error instanceof LockTimeoutError);
+      assert.match(
+        error.message,
+        /shared lock on \/repos\/busy \(held by git_commit\)/
+      );
+      assert.deepEqual(error.details, {
+        repo: key,
+        mode: "shared",
+        holders: [{ mode: "exclusive", owner: "git_commit" }],
+      });
+      return true;
+    }
+  );
+  gate.resolve();
+  await holder;
+});
+
+test("a call gives up after the configured timeout", async (t) => {
+  const key = "/repos/timeout";
+  configureLocks({ timeoutSeconds: 0.02 });
+  t.after(() => configureLocks());
+  const gate = deferred();
+  const holder = withRepoLock(key, "exclusive", () => gate.promise);
+
+  await assert.rejects(
+    withRepoLock(key, "exclusive", () => assert.fail("lock granted")),
+    /Timed out after 0.02s waiting for the exclusive lock on \/repos\/timeout \(held by another call\)/
+  );
+  gate.resolve();
+  await holder;
+  // The timed out request left the queue, so the lock is free again
+  assert.equal(
+    await withRepoLock(key, "exclusive", () => "free", { timeoutMs: 0 }),
+    "free"
+  );
+});
@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  handleGitRemote,
+  parseRemoteShow,
+} from "../src/handlers/remote-operations.js";
+
+const SHOW_OUTPUT = `* remote origin
+  Fetch URL: https://example.com/repo.git
+  Push  URL: git@example.com:repo.git
+  HEAD branch: main
+  Remote branches:
+    dev                     new (next fetch will store in remotes/origin)
+    main                    tracked
+    refs/remotes/origin/old stale (use 'git remote prune' to remove)
+  Local branches configured for 'git pull':
+    feature rebases onto remote dev
+    main    merges with remote main
+  Local refs configured for 'git push':
+    feature forces to dev  (up to date)
+    main    pushes to main (local out of date)
+`;
+
+test("parseRemoteShow reads URLs, HEAD and every branch section", () => {
+  assert.deepEqual(parseRemoteShow("origin", SHOW_OUTPUT), {
+    name: "origin",
+    fetch_url: "https://example.com/repo.git",
+    push_url: "git@example.com:repo.git",
+    head_branch: "main",
+    remote_branches: ["main"],
+    tracked_branches: ["main"],
+    new_branches: ["dev"],
+    stale_branches: ["old"],
+    local_branches: [
+      { local: "feature", remote: "dev", mode: "rebase" },
+      { local: "main", remote: "main", mode: "merge" },
+    ],
+    push_refs: [
+      { local: "feature", remote: "dev", forced: true, status: "up to date" },
+      {
+        local: "main",
+        remote: "main",
+        forced: false,
+        status: "local out of date",
+      },
+    ],
+  });
+});
+
+test("parseRemoteShow reads a single branch on the header line", () => {
+  const info = parseRemoteShow(
+    "origin",
+    "* remote origin\n  Fetch URL: /srv/repo.git\n  Remote branch: main tracked\n"
+  );
+  assert.deepEqual(info.tracked_branches, ["main"]);
+  assert.equal(info.push_url, "");
+});
+
+test("remove-refspec rejects refspecs that are not configured", async (t) => {
+  const repo = fs.mkdtempSync(path.join(os.tmpdir(), "remote-test-"));
+  t.after(() => fs.rmSync(repo, { recursive: true, force: true }));
+  execFileSync("git", ["init", "-q", repo]);
+  execFileSync("git", ["-C", repo, "remote", "add", "origin", "/srv/repo.git"]);
+  const refspec = "+refs/heads/*:refs/remotes/origin/*";
+
+  const missing = await handleGitRemote({
+    repo_path: repo,
+    action: "remove-refspec",
+    name: "origin",
+    refspecs: [refspec, "+refs/heads/none:refs/remotes/origin/none"],
+  });
+  assert.equal(missing.isError, true);
+  assert.deepEqual(JSON.parse(missing.content[0].text).not_found, [
+    "+refs/heads/none:refs/remotes/origin/none",
+  ]);
+
+  // Nothing is removed when one refspec is missing
+  const configured = execFileSync(
+    "git",
+    ["-C", repo, "config", "--get-all", "remote.origin.fetch"],
+    { encoding: "utf8" }
+  );
+  assert.equal(configured.trim(), refspec);
+
+  const removed = await handleGitRemote({
+    repo_path: repo,
+    action: "remove-refspec",
+    name: "origin",
+    refspecs: [refspec],
+  });
+  assert.equal(removed.isError, undefined);
+  assert.deepEqual(JSON.parse(removed.content[0].text).refspecs, []);
+});
@@ -0,0 +1,121 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ValidationError, validateArguments } from "../src/utils/validation.js";
+
+const SCHEMA = {
+  type: "object",
+  properties: {
+    repo_path: { type: "string", minLength: 1 },
+    max_count: { type: "integer", minimum: 1, maximum: 100, default: 10 },
+    format: { type: "string", enum: ["patch", "stat"], default: "patch" },
+    files: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: ["string", "object"],
+        properties: {
+          path: { type: "string" },
+          start_line: { type: "integer", minimum: 1 },
+        },
+        required: ["path"],
+      },
+    },
+    options: {
+      type: "object",
+      properties: {},
+      additionalProperties: { type: "boolean" },
+    },
+  },
+  required: ["repo_path"],
+};
+
+/**
+ * Validates arguments that must be rejected
+ * @param {Object} args - Tool arguments
+ * @returns {ValidationError} - The error thrown
+ */
+function rejection(args) {
+  try {
+    validateArguments("git_test", SCHEMA, args);
+  } catch (error) {
+    assert.ok(error instanceof ValidationError);
+    return error;
+  }
+  assert.fail("the arguments were accepted");
+}
+
+test("defaults fill in missing arguments without touching given ones", () => {
+  assert.deepEqual(validateArguments("git_test", SCHEMA, { repo_path: "/r" }), {
+    repo_path: "/r",
+    max_count: 10,
+    format: "patch",
+  });
+  assert.deepEqual(
+    validateArguments("git_test", SCHEMA, { repo_path: "/r", format: "stat" })
+      .format,
+    "stat"
+  );
+});
+
+test("null is treated as an omitted optional argument", () => {
+  assert.equal(
+    validateArguments("git_test", SCHEMA, { repo_path: "/r", max_count: null })
+      .max_count,
+    10
+  );
+  assert.deepEqual(rejection({ repo_path: null }).errors.at(-1), {
+    field: "repo_path",
+    message: "is required",
+  });
+});
+
+test("every error is reported with the path of its field", () => {
+  const error = rejection({
+    max_count: 0,
+    format: "json",
+    files: [{ start_line: 2 }, 3],
+    extra: true,
+  });
+  assert.deepEqual(error.errors, [
+    { field: "max_count", message: "must be at least 1" },
+    { field: "format", message: 'must be one of: "patch", "stat"' },
+    { field: "files[0].path", message: "is required" },
+    {
+      field: "files[1]",
+      message: "must be of type string or object, got integer",
+    },
+    { field: "extra", message: "is not a known argument" },
+    { field: "repo_path", message: "is required" },
+  ]);
+  assert.match(
+    error.message,
+    /^Invalid arguments for git_test: max_count must be at least 1; /
+  );
+});
+
+test("array, string and number limits are enforced", () => {
+  assert.deepEqual(
+    rejection({ repo_path: "", max_count: 101, files: [] }).errors.map(
+      (error) => error.message
+    ),
+    [
+      "must be at least 1 characters long",
+      "must be at most 100",
+      "must have at least 1 items",
+    ]
+  );
+});
+
+test("additional properties are checked against their schema", () => {
+  assert.deepEqual(
+    validateArguments("git_test", SCHEMA, {
+      repo_path: "/r",
+      options: { force: true },
+    }).options,
+    { force: true }
+  );
+  assert.deepEqual(
+    rejection({ repo_path: "/r", options: { force: "yes" } }).errors,
+    [{ field: "options.force", message: "must be of type boolean, got string" }]
+  );
+});